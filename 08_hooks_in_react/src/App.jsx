@@ -27,6 +27,7 @@ Let's explore the most important Hooks! 🚀
 
 // Importing React and the Hooks we'll use
 import { useState, useEffect, useRef } from "react";
+import LocalStorageDemo from "./components/LocalStorageDemo";
 import "./App.css";
 
 function App() {
@@ -404,6 +405,9 @@ function App() {
         </p>
       </section>
 
+      {/* ========== CUSTOM HOOK EXAMPLE ========== */}
+      <LocalStorageDemo />
+
       {/* ========== KEY TAKEAWAYS ========== */}
       <section
         style={{
@@ -426,6 +430,10 @@ function App() {
             <strong>useRef:</strong> For DOM access and values that persist but
             don't need re-renders
           </li>
+          <li>
+            <strong>Custom Hooks:</strong> Combine built-in hooks into your own
+            reusable "use..." function
+          </li>
           <li>
             <strong>Always:</strong> Call hooks at the top level, never in
             loops/conditions
@@ -461,7 +469,9 @@ Once you're comfortable with the basics, explore these:
 
 Custom Hooks:
 -------------
-You can create your own hooks! Start with "use" and combine built-in hooks:
+You can create your own hooks! Start with "use" and combine built-in hooks.
+
+A first sketch of useLocalStorage might look like this:
 
 function useLocalStorage(key, initialValue) {
   const [value, setValue] = useState(() => {
@@ -475,6 +485,11 @@ function useLocalStorage(key, initialValue) {
   return [value, setValue]
 }
 
+...but it only stores STRINGS (objects become "[object Object]"), ignores
+changes from other tabs and other components, and crashes when localStorage
+is unavailable. See src/hooks/useLocalStorage.js for the real version,
+and src/components/LocalStorageDemo.jsx for it in action.
+
 Happy Coding! 🚀
 */
 
@@ -0,0 +1,119 @@
+import { useLocalStorage } from "../hooks/useLocalStorage";
+
+/*
+╔══════════════════════════════════════════════════════════════════════════╗
+║                 4. CUSTOM HOOK - useLocalStorage                         ║
+╚══════════════════════════════════════════════════════════════════════════╝
+
+Everything here is saved in localStorage. Try this:
+  1. Change some values, then refresh the page - they're still there
+  2. Open this page in a SECOND tab - changes show up in both tabs
+*/
+
+// Every key starts with "hooks-demo:" so it can't clash with other apps
+const COUNT_KEY = "hooks-demo:count";
+
+const FOODS = ["🍕", "🍔", "🍣", "🌮", "🍩"];
+
+// A Set can't be saved as JSON ({} is all you'd get back),
+// so we tell the hook how to turn it into text and back
+const setSerializer = {
+  serialize: (set) => JSON.stringify([...set]),
+  deserialize: (text) => new Set(JSON.parse(text)),
+};
+
+// Two counters using the SAME key - click one and watch the other update
+function SharedCounter({ label }) {
+  const [count, setCount] = useLocalStorage(COUNT_KEY, 0);
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      <strong>{label}:</strong> {count}{" "}
+      {/* Functional update - always based on the latest saved value */}
+      <button onClick={() => setCount((prev) => prev + 1)}>➕</button>
+    </div>
+  );
+}
+
+function LocalStorageDemo() {
+  // An OBJECT - comes back as an object, not "[object Object]"
+  const [profile, setProfile, resetProfile] = useLocalStorage(
+    "hooks-demo:profile",
+    { username: "Guest", age: 0 }
+  );
+
+  // A Set, with a custom serializer
+  const [favorites, setFavorites] = useLocalStorage(
+    "hooks-demo:favorites",
+    () => new Set(), // lazy initial value, just like useState
+    setSerializer
+  );
+
+  const toggleFavorite = (food) => {
+    setFavorites((prev) => {
+      const next = new Set(prev); // never mutate the old Set!
+      if (next.has(food)) next.delete(food);
+      else next.add(food);
+      return next;
+    });
+  };
+
+  return (
+    <section
+      style={{
+        border: "2px solid #1dd1a1",
+        padding: "20px",
+        margin: "20px 0",
+      }}
+    >
+      <h2>💾 Custom Hook: useLocalStorage</h2>
+      <p>Refresh the page or open a second tab - everything here is saved!</p>
+
+      {/* Same-page sync */}
+      <div style={{ marginBottom: "20px" }}>
+        <h3>🔗 Two components, one key</h3>
+        <SharedCounter label="Counter A" />
+        <SharedCounter label="Counter B" />
+      </div>
+
+      {/* Object value */}
+      <div style={{ marginBottom: "20px" }}>
+        <h3>👤 Saved profile</h3>
+        <input
+          type="text"
+          value={profile.username}
+          onChange={(e) =>
+            setProfile((prev) => ({ ...prev, username: e.target.value }))
+          }
+        />
+        <input
+          type="number"
+          value={profile.age}
+          onChange={(e) =>
+            setProfile((prev) => ({ ...prev, age: Number(e.target.value) }))
+          }
+        />
+        <button onClick={resetProfile}>🗑️ Remove from storage</button>
+      </div>
+
+      {/* Custom serializer */}
+      <div>
+        <h3>⭐ Favorite foods (a Set)</h3>
+        {FOODS.map((food) => (
+          <button
+            key={food}
+            onClick={() => toggleFavorite(food)}
+            style={{ opacity: favorites.has(food) ? 1 : 0.3 }}
+          >
+            {food}
+          </button>
+        ))}
+        <p>
+          {favorites.size} favorites: {[...favorites].join(" ") || "none yet"}
+        </p>
+      </div>
+    </section>
+  );
+}
+
+export default LocalStorageDemo;
@@ -0,0 +1,168 @@
+/*
+╔══════════════════════════════════════════════════════════════════════════════╗
+║                     useLocalStorage - A REAL CUSTOM HOOK                     ║
+╚══════════════════════════════════════════════════════════════════════════════╝
+
+WHAT DOES IT DO? 💾
+-------------------
+Works exactly like useState, but the value is saved in localStorage,
+so it survives page refreshes:
+
+  const [theme, setTheme] = useLocalStorage("theme", "light");
+  setTheme("dark");                      // saved!
+  setCount((prev) => prev + 1);          // functional updates work too
+
+WHAT MAKES IT "PRODUCTION-GRADE"? 🏭
+------------------------------------
+1. JSON serialization  - objects, arrays and numbers come back as themselves,
+                         not as "[object Object]" or "42"
+2. Custom serializers  - pass { serialize, deserialize } for anything JSON
+                         can't handle (Sets, Dates, ...)
+3. Same-page sync      - two components using the same key stay in step
+4. Cross-tab sync      - change it in one tab, the other tabs update
+5. Memory fallback     - if localStorage is unavailable (private mode) or
+                         full, values live in memory instead of crashing
+
+RETURNS:
+--------
+  [value, setValue, removeValue]
+  removeValue() deletes the key - the value goes back to initialValue
+*/
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/*
+  STORAGE LAYER
+  -------------
+  Small helpers that NEVER throw. When a write to localStorage fails, the
+  value is kept in this Map instead - reads check the Map first.
+*/
+const memoryFallback = new Map();
+
+const readRaw = (key) => {
+  if (memoryFallback.has(key)) return memoryFallback.get(key);
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null; // localStorage is blocked
+  }
+};
+
+// raw = null means "remove the key"
+const writeRaw = (key, raw) => {
+  try {
+    if (raw === null) window.localStorage.removeItem(key);
+    else window.localStorage.setItem(key, raw);
+    memoryFallback.delete(key);
+  } catch (error) {
+    console.warn(`localStorage unavailable, keeping "${key}" in memory`, error);
+    if (raw === null) memoryFallback.delete(key);
+    else memoryFallback.set(key, raw);
+  }
+};
+
+/*
+  SAME-PAGE SYNC 📣
+  -----------------
+  The browser's "storage" event only fires in OTHER tabs, never in the tab
+  that made the change. So every hook instance also registers here, and a
+  write tells all instances with the same key to re-read.
+*/
+const listeners = new Map(); // key → Set of callbacks
+
+const subscribe = (key, callback) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(callback);
+  return () => listeners.get(key).delete(callback);
+};
+
+const notify = (key) => listeners.get(key)?.forEach((callback) => callback());
+
+// useState accepts a value OR a function that returns it - so do we
+const resolve = (initialValue) =>
+  typeof initialValue === "function" ? initialValue() : initialValue;
+
+export function useLocalStorage(
+  key,
+  initialValue,
+  { serialize = JSON.stringify, deserialize = JSON.parse } = {}
+) {
+  // Options are usually written inline, so they're NEW functions on every
+  // render. Keeping them in refs means we don't re-subscribe every render
+  const initialValueRef = useRef(initialValue);
+  const serializeRef = useRef(serialize);
+  const deserializeRef = useRef(deserialize);
+  useEffect(() => {
+    initialValueRef.current = initialValue;
+    serializeRef.current = serialize;
+    deserializeRef.current = deserialize;
+  });
+
+  // Read the saved value, falling back to initialValue when it's missing
+  // or can't be parsed (e.g. someone edited it by hand in DevTools)
+  const readValue = useCallback(() => {
+    const raw = readRaw(key);
+    if (raw === null) return resolve(initialValueRef.current);
+    try {
+      return deserializeRef.current(raw);
+    } catch (error) {
+      console.warn(`Ignoring unreadable value for "${key}"`, error);
+      return resolve(initialValueRef.current);
+    }
+  }, [key]);
+
+  // Lazy initializer - storage is only read on the first render
+  const [value, setValue] = useState(readValue);
+
+  // If the KEY changes, show the value saved under the new key.
+  // Adjusting state during render (instead of in an effect) avoids
+  // one render with the old key's value
+  const [currentKey, setCurrentKey] = useState(key);
+  if (key !== currentKey) {
+    setCurrentKey(key);
+    setValue(readValue());
+  }
+
+  // SUBSCRIPTIONS - re-read when this key changes anywhere
+  useEffect(() => {
+    const update = () => setValue(readValue());
+
+    // 1. Another hook instance on this page
+    const unsubscribe = subscribe(key, update);
+
+    // 2. Another tab. e.key is null when that tab called localStorage.clear()
+    const handleStorage = (e) => {
+      if (e.storageArea !== window.localStorage) return;
+      if (e.key !== key && e.key !== null) return;
+      // The other tab's value wins over anything we kept in memory
+      memoryFallback.delete(key);
+      update();
+    };
+    window.addEventListener("storage", handleStorage);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, [key, readValue]);
+
+  // SETTER - same API as useState's setter
+  const setStoredValue = useCallback(
+    (next) => {
+      // Read the CURRENT saved value (not this render's value), so several
+      // updates in a row - even from different components - all add up
+      const newValue = typeof next === "function" ? next(readValue()) : next;
+      // JSON.stringify(undefined) is undefined - treat that as "remove"
+      writeRaw(key, serializeRef.current(newValue) ?? null);
+      notify(key);
+    },
+    [key, readValue]
+  );
+
+  const removeValue = useCallback(() => {
+    writeRaw(key, null);
+    notify(key);
+  }, [key]);
+
+  return [value, setStoredValue, removeValue];
+}
@@ -1,6 +1,36 @@
 // Importing useState hook from React
 // useState allows us to add state (data that can change) to our component
-import { useState } from "react";
+// useEffect lets us run side effects (like saving to localStorage)
+// useMemo remembers a calculated value until its inputs change
+// useRef gives us a handle on a DOM element (to focus it)
+// useCallback keeps the same function between renders (for effect deps)
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import ImportDialog from "./components/ImportDialog";
+import NoteCard from "./components/NoteCard";
+import NoteModal from "./components/NoteModal";
+import Toast from "./components/Toast";
+import TransferMenu from "./components/TransferMenu";
+import TrashList from "./components/TrashList";
+import { useCrossTabSync } from "./hooks/useCrossTabSync";
+import { useHistory } from "./hooks/useHistory";
+import { useReorder } from "./hooks/useReorder";
+import { useUrlFilters } from "./hooks/useUrlFilters";
+import {
+  createNote,
+  DEFAULT_COLOR,
+  findExpiredIds,
+  isTrashed,
+  NOTE_COLORS,
+  purgeExpired,
+  putNote,
+  sortPinnedFirst,
+  updateNote,
+} from "./utils/notes";
+import { toggleTask } from "./utils/markdown";
+import { loadNotes, saveNotes } from "./utils/notesStorage";
+import { applyMerge, parseImport, planMerge } from "./utils/notesTransfer";
+import { collectTags, getSearchTerms, matchesFilters } from "./utils/search";
+import { LIMITS, validateNote } from "./utils/validation";
 
 // Main App component - this is a functional component
 const App = () => {
@@ -14,45 +44,356 @@ const App = () => {
   // State to store the note details (description) that user types
   const [details, setDetails] = useState("");
 
+  // State to store the color picked from the palette
+  const [color, setColor] = useState(DEFAULT_COLOR);
+
+  // VALIDATION
+  // Errors are calculated from the current values on every render
+  // "Title is required" only shows after the first submit attempt -
+  // nobody wants to see an error before they've even started typing
+  const [showErrors, setShowErrors] = useState(false);
+  const errors = validateNote({ title, details });
+  const titleError =
+    showErrors || title.length > LIMITS.title ? errors.title : undefined;
+  const detailsError = errors.details;
+
+  // Used to focus the title field when the form is invalid
+  const titleInputRef = useRef(null);
+
   // State to store all notes as an array of objects
-  // Each note will have a title and details
-  const [notes, setNotes] = useState([]);
+  // Each note has an id, title, details, color, pinned, deletedAt and timestamps
+  // The ORDER of this array is the order the user dragged the notes into
+  // Notes in the Trash are still in here - they have deletedAt set
+  // The function form of useState reads localStorage only on first render
+  // (expired Trash notes are purged by an effect further down)
+  const [notes, setNotes] = useState(loadNotes);
+
+  // Which panel is showing on the right: "notes" or "trash"
+  const [view, setView] = useState("notes");
+
+  // Id of the note opened with "Read more" (null = modal closed)
+  const [readingId, setReadingId] = useState(null);
+
+  // The toast message at the bottom of the screen (null = hidden)
+  // { message, undoDeleteId? } - undoDeleteId adds an "Undo" button
+  const [toast, setToast] = useState(null);
+
+  // An import waiting for the user to confirm (null = no dialog)
+  // { filename, plan, skipped }
+  const [pendingImport, setPendingImport] = useState(null);
+
+  // UNDO / REDO
+  const history = useHistory(setNotes);
+
+  // CROSS-TAB SYNC
+  // Notes saved in another tab are merged in (newest updatedAt wins)
+  // remoteChangedIds = notes another tab changed in the last few seconds
+  const remoteChangedIds = useCrossTabSync(notes, setNotes);
+
+  // State to remember which note is being edited
+  // null = we're adding a new note, otherwise it holds the note's id
+  const [editingId, setEditingId] = useState(null);
+
+  // SEARCH & TAG FILTERS
+  // Kept in the URL (?q=...&tag=...) so a filtered view can be bookmarked
+  const { query, tags, setQuery, toggleTag, clearFilters } = useUrlFilters();
+
+  // Split the search box text into words, e.g. "milk eggs" → ["milk", "eggs"]
+  const searchTerms = useMemo(() => getSearchTerms(query), [query]);
+
+  // Split the notes into live ones and the ones sitting in the Trash
+  const activeNotes = useMemo(
+    () => notes.filter((note) => !isTrashed(note)),
+    [notes]
+  );
+  const trashedNotes = useMemo(() => notes.filter(isTrashed), [notes]);
+
+  // Every tag used in any note - shown as chips above the grid
+  const allTags = useMemo(() => collectTags(activeNotes), [activeNotes]);
+
+  // Only the notes that match the search text AND the selected tags,
+  // with pinned notes moved to the top
+  const visibleNotes = useMemo(
+    () =>
+      sortPinnedFirst(
+        activeNotes.filter((note) =>
+          matchesFilters(note, { terms: searchTerms, tags })
+        )
+      ),
+    [activeNotes, searchTerms, tags]
+  );
+
+  // DRAG-AND-DROP / KEYBOARD REORDERING
+  const reorder = useReorder({ notes, setNotes, displayed: visibleNotes });
+
+  const isFiltering = searchTerms.length > 0 || tags.length > 0;
+
+  // Looked up by id on every render, so the modal always shows the
+  // latest version (e.g. after ticking a checkbox inside it).
+  // If the note is deleted meanwhile, this is undefined and the modal closes
+  const readingNote = activeNotes.find((note) => note.id === readingId);
+
+  // Current time, refreshed every minute
+  // so "edited 2 minutes ago" labels on the cards stay accurate
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Notes that have been in the Trash for 30 days are purged
+  // (checked on load, every minute while the app is open, and whenever
+  // the notes change - e.g. old Trash synced in from another tab).
+  // Their undo history goes too, or redo could bring them back
+  const { forget } = history;
+  useEffect(() => {
+    const expiredIds = findExpiredIds(notes, now);
+    if (expiredIds.length === 0) return;
+    setNotes((current) => purgeExpired(current, now));
+    forget(expiredIds);
+  }, [notes, now, forget]);
+
+  // Hide the toast automatically after 6 seconds
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // PERSISTENCE
+  // Whenever notes change, write them back to localStorage
+  useEffect(() => {
+    saveNotes(notes);
+  }, [notes]);
+
+  // Clear the input fields
+  // This resets the form for the next note
+  // useCallback: the Escape listener below depends on it (via cancelEditing)
+  const resetForm = useCallback(() => {
+    setTitle("");
+    setDetails("");
+    setColor(DEFAULT_COLOR);
+    setShowErrors(false);
+  }, []);
+
+  // EDIT MODE FUNCTIONS
+  // Clicking a sticky note loads it into the form on the left
+  const startEditing = (note) => {
+    setEditingId(note.id);
+    setTitle(note.title);
+    setDetails(note.details);
+    setColor(note.color);
+  };
+
+  // Back out of edit mode without changing anything
+  const cancelEditing = useCallback(() => {
+    setEditingId(null);
+    resetForm();
+  }, [resetForm]);
+
+  // Pressing Escape anywhere on the page cancels editing
+  // The listener only exists while a note is being edited
+  useEffect(() => {
+    if (editingId === null) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") cancelEditing();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    // Cleanup: remove the listener when editing ends
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [editingId, cancelEditing]);
+
+  // UNDO / REDO KEYBOARD SHORTCUTS
+  // Ctrl+Z = undo, Ctrl+Shift+Z (or Ctrl+Y) = redo - Cmd instead of Ctrl on Mac
+  const { undo, redo } = history;
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+
+      // Inside a text field, Ctrl+Z should undo TYPING, not note changes
+      const tag = e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || e.target.isContentEditable) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      let entry;
+      if (key === "z" && !e.shiftKey) {
+        entry = undo();
+        if (entry) setToast({ message: `Undid: ${entry.label}` });
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        entry = redo();
+        if (entry) setToast({ message: `Redid: ${entry.label}` });
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+
+  // CHANGE ONE NOTE (and remember it for undo)
+  // label = what shows up in the undo history, e.g. "Edit note"
+  // Pass label = null for changes that shouldn't be undoable (pinning)
+  // Returns false if the note isn't there anymore
+  const changeNote = (id, changes, label) => {
+    const before = notes.find((n) => n.id === id);
+
+    // Another tab may have deleted the note in the meantime (cross-tab sync)
+    if (!before) {
+      if (id === editingId) cancelEditing();
+      setToast({ message: "That note was deleted in another tab" });
+      return false;
+    }
+
+    const after = updateNote(before, changes);
+
+    setNotes(putNote(notes, id, after));
+    if (label) history.record(label, before, after);
+    return true;
+  };
 
   // SUBMIT HANDLER FUNCTION
-  // This function runs when user clicks "Add Note" button
+  // This function runs when user clicks "Add Note" or "Save changes"
   const submitHandler = (e) => {
     // Prevent default form submission (which would refresh the page)
     e.preventDefault();
 
+    // Stop here if the form is invalid - show the errors instead
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      if (errors.title) titleInputRef.current.focus();
+      return;
+    }
+
+    // EDIT MODE: replace the edited note in place (same position in the list)
+    if (editingId !== null) {
+      changeNote(editingId, { title, details, color }, "Edit note");
+      cancelEditing();
+      return;
+    }
+
     // Create a copy of the current notes array using spread operator (...)
     // We never modify state directly in React - always create a copy first
     const copyNotes = [...notes];
 
     // Add new note object to the copied array
-    // This creates an object with title and details properties
-    copyNotes.push({ title, details });
+    // createNote adds an id and timestamps to the title and details
+    const newNote = createNote({ title, details, color });
+    copyNotes.push(newNote);
 
     // Update the state with the new array (this triggers re-render)
     setNotes(copyNotes);
 
+    // before = null means "this note didn't exist" - undo removes it again
+    history.record("Add note", null, newNote);
+
     // Clear the input fields after adding note
-    // This resets the form for the next note
-    setTitle("");
-    setDetails("");
+    resetForm();
+  };
+
+  // CHECKLIST HANDLER
+  // Ticking "- [ ] milk" on a sticky note rewrites that line of the
+  // note's details to "- [x] milk" - the text stays the single source of truth
+  const toggleNoteTask = (id, line) => {
+    const note = notes.find((n) => n.id === id);
+    const newDetails = note ? toggleTask(note.details, line) : "";
+
+    if (!changeNote(id, { details: newDetails }, "Edit note")) return;
+
+    // Keep the form in sync if this note is open for editing,
+    // otherwise "Save changes" would undo the tick
+    if (id === editingId) {
+      setDetails(newDetails);
+    }
+  };
+
+  // PIN HANDLER
+  // Pinning doesn't move the note in the array - sortPinnedFirst()
+  // just shows pinned notes first, so unpinning puts it back where it was
+  const togglePin = (id) => {
+    const note = notes.find((n) => n.id === id);
+    changeNote(id, { pinned: !note?.pinned }, null);
   };
 
   // DELETE HANDLER FUNCTION
-  // This function removes a note at a specific index
-  const deleteNote = (idx) => {
-    // Create a copy of notes array
-    const copyNotes = [...notes];
+  // Deleting moves the note to the Trash by setting deletedAt
+  // We use the id (not the array index) so the right note is removed
+  // even if the list has been reordered or filtered
+  const deleteNote = (id) => {
+    if (!changeNote(id, { deletedAt: Date.now() }, "Delete note")) return;
 
-    // Remove 1 item at the specified index using splice
-    // splice(startIndex, howManyToDelete)
-    copyNotes.splice(idx, 1);
+    // If the deleted note was open in the form, leave edit mode
+    if (id === editingId) {
+      cancelEditing();
+    }
 
-    // Update state with the modified array
-    setNotes(copyNotes);
+    // Offer a quick way back (see the <Toast /> at the bottom)
+    setToast({ message: "Note moved to Trash", undoDeleteId: id });
+  };
+
+  // IMPORT HANDLERS
+  // Step 1: read + validate the file, work out what would change
+  // async/await because reading a file takes time (it returns a Promise)
+  const handleImportFile = async (file) => {
+    try {
+      const text = await file.text();
+      const { notes: incoming, skipped } = parseImport(text, file.name);
+      setPendingImport({
+        filename: file.name,
+        plan: planMerge(notes, incoming),
+        skipped,
+      });
+    } catch (err) {
+      setToast({ message: `Import failed: ${err.message}` });
+    }
+  };
+
+  // Step 2: the user clicked "Import" in the summary dialog
+  const applyImport = (resolveConflicts) => {
+    const { notes: merged, changes } = applyMerge(
+      notes,
+      pendingImport.plan,
+      resolveConflicts
+    );
+    setNotes(merged);
+    // The whole import is ONE undo step
+    history.recordBatch("Import notes", changes);
+    setPendingImport(null);
+    setToast({ message: `Imported ${changes.length} notes` });
+  };
+
+  // TRASH HANDLERS
+  // Used by the Trash view and by the toast's "Undo" button
+  const restoreNote = (id) => {
+    if (!changeNote(id, { deletedAt: null }, "Restore note")) return;
+    setToast({ message: "Note restored" });
+  };
+
+  // Permanent deletes can't be undone, so ask first
+  const deleteForever = (id) => {
+    if (!window.confirm("Delete this note forever? This can't be undone.")) {
+      return;
+    }
+    setNotes(notes.filter((note) => note.id !== id));
+    history.forget([id]);
+  };
+
+  const emptyTrash = () => {
+    if (
+      !window.confirm(
+        `Delete all ${trashedNotes.length} notes in the Trash forever?`
+      )
+    ) {
+      return;
+    }
+    setNotes(activeNotes);
+    history.forget(trashedNotes.map((note) => note.id));
   };
 
   // JSX RETURN - This is what gets displayed on screen
@@ -65,87 +406,342 @@ const App = () => {
         onSubmit={(e) => {
           submitHandler(e);
         }}
+        // noValidate: we show our own error messages instead of the browser's
+        noValidate
         className="flex gap-4 lg:w-1/2 p-10 flex-col items-start"
       >
-        <h1 className="text-4xl mb-2 font-bold">Add Notes</h1>
+        <h1 className="text-4xl mb-2 font-bold">
+          {editingId !== null ? "Edit Note" : "Add Notes"}
+        </h1>
 
         {/* INPUT FOR NOTE TITLE */}
         {/* value={title} makes this a controlled component - React controls the value */}
         {/* onChange runs every time user types something */}
-        <input
-          type="text"
-          placeholder="Enter Notes Heading"
-          className="px-5 w-full font-medium py-2 border-2 outline-none rounded "
-          value={title}
-          onChange={(e) => {
-            // e.target.value gives us what user typed
-            // We update the state with this new value
-            setTitle(e.target.value);
-          }}
-        />
+        {/* aria-invalid tells screen readers the field has a problem */}
+        {/* aria-describedby links the field to its counter and error text */}
+        <div className="w-full">
+          <label htmlFor="note-title" className="sr-only">
+            Title (required)
+          </label>
+          <input
+            id="note-title"
+            ref={titleInputRef}
+            type="text"
+            placeholder="Enter Notes Heading"
+            aria-required="true"
+            aria-invalid={titleError ? "true" : "false"}
+            aria-describedby={`note-title-count${
+              titleError ? " note-title-error" : ""
+            }`}
+            className={`px-5 w-full font-medium py-2 border-2 outline-none rounded ${
+              titleError ? "border-red-500" : ""
+            }`}
+            value={title}
+            onChange={(e) => {
+              // e.target.value gives us what user typed
+              // We update the state with this new value
+              setTitle(e.target.value);
+            }}
+          />
+          <div className="flex justify-between gap-4 mt-1 text-xs">
+            <p id="note-title-error" className="text-red-400">
+              {titleError}
+            </p>
+            {/* LIVE CHARACTER COUNTER */}
+            <p
+              id="note-title-count"
+              className={
+                title.length > LIMITS.title ? "text-red-400" : "text-gray-400"
+              }
+            >
+              {title.length} / {LIMITS.title}
+            </p>
+          </div>
+        </div>
 
         {/* TEXTAREA FOR NOTE DETAILS */}
         {/* Same concept as input above - controlled component */}
-        <textarea
-          type="text"
-          className="px-5 w-full font-medium h-32 py-2 flex items-start flex-row border-2 outline-none  rounded "
-          placeholder="Write Details here"
-          value={details}
-          onChange={(e) => {
-            setDetails(e.target.value);
-          }}
-        />
+        <div className="w-full">
+          <label htmlFor="note-details" className="sr-only">
+            Details
+          </label>
+          <textarea
+            id="note-details"
+            className={`px-5 w-full font-medium h-32 py-2 flex items-start flex-row border-2 outline-none rounded ${
+              detailsError ? "border-red-500" : ""
+            }`}
+            placeholder="Write Details here (Markdown: # heading, - list, - [ ] todo, `code`)"
+            aria-invalid={detailsError ? "true" : "false"}
+            aria-describedby={`note-details-count${
+              detailsError ? " note-details-error" : ""
+            }`}
+            value={details}
+            onChange={(e) => {
+              setDetails(e.target.value);
+            }}
+          />
+          <div className="flex justify-between gap-4 mt-1 text-xs">
+            <p id="note-details-error" className="text-red-400">
+              {detailsError}
+            </p>
+            <p
+              id="note-details-count"
+              className={
+                details.length > LIMITS.details
+                  ? "text-red-400"
+                  : "text-gray-400"
+              }
+            >
+              {details.length} / {LIMITS.details}
+            </p>
+          </div>
+        </div>
+
+        {/* COLOR PALETTE */}
+        {/* A radio group: exactly one color is selected at a time */}
+        <fieldset className="flex items-center gap-2">
+          <legend className="sr-only">Note color</legend>
+          {NOTE_COLORS.map((c) => (
+            <label
+              key={c.id}
+              title={c.label}
+              className={`h-8 w-8 rounded-full cursor-pointer border-2 has-focus-visible:ring-2 has-focus-visible:ring-sky-400 ${
+                c.className
+              } ${color === c.id ? "border-white scale-110" : "border-transparent"}`}
+            >
+              <input
+                type="radio"
+                name="color"
+                value={c.id}
+                checked={color === c.id}
+                onChange={() => setColor(c.id)}
+                aria-label={c.label}
+                className="sr-only"
+              />
+            </label>
+          ))}
+        </fieldset>
+
+        {/* The note being edited was just changed in another tab */}
+        {editingId !== null && remoteChangedIds.has(editingId) && (
+          <p role="alert" className="text-sm text-amber-300">
+            ↻ This note was just changed in another tab. Saving will replace
+            those changes.
+          </p>
+        )}
 
         {/* SUBMIT BUTTON */}
         {/* Clicking this triggers form's onSubmit event */}
         <button className="bg-white active:scale-95 font-medium w-full outline-none  text-black px-5 py-2 rounded">
-          Add Note
+          {editingId !== null ? "Save changes" : "Add Note"}
         </button>
+
+        {/* CANCEL BUTTON - only shown in edit mode */}
+        {/* type="button" stops it from submitting the form */}
+        {editingId !== null && (
+          <button
+            type="button"
+            onClick={cancelEditing}
+            className="border-2 border-white active:scale-95 font-medium w-full outline-none px-5 py-2 rounded"
+          >
+            Cancel
+          </button>
+        )}
       </form>
 
       {/* RIGHT SIDE - DISPLAY ALL NOTES */}
       <div className="lg:w-1/2 lg:border-l-2  p-10">
-        <h1 className="text-4xl font-bold">Recent Notes</h1>
-        <div className="flex flex-wrap items-start justify-start gap-5 mt-6 h-[90%] overflow-auto">
-          {/* MAP THROUGH NOTES ARRAY */}
-          {/* .map() creates a new component for each note in the array */}
-          {/* elem = current note object, idx = its position in array (0, 1, 2...) */}
-          {notes.map(function (elem, idx) {
-            // Return JSX for each individual note card
-            // key={idx} helps React identify which items changed (required for lists)
-            return (
-              <div
-                key={idx}
-                className=" flex justify-between flex-col items-start relative h-52 w-40 bg-cover rounded-xl text-black pt-9 pb-4 px-4 bg-[url('https://static.vecteezy.com/system/resources/previews/037/152/677/non_2x/sticky-note-paper-background-free-png.png')]"
-              >
-                {/* NOTE CONTENT */}
-                <div>
-                  {/* elem.title accesses the title property of current note */}
-                  <h3 className="leading-tight text-lg font-bold">
-                    {elem.title}
-                  </h3>
-                  {/* elem.details accesses the details property of current note */}
-                  <p className="mt-2 leading-tight text-xs font-semibold text-gray-600">
-                    {elem.details}
-                  </p>
-                </div>
-
-                {/* DELETE BUTTON */}
-                {/* onClick runs deleteNote function when clicked */}
-                {/* Arrow function () => passes the index to deleteNote */}
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <h1 className="text-4xl font-bold">
+            {view === "trash" ? "Trash" : "Recent Notes"}
+          </h1>
+
+          {/* UNDO / REDO BUTTONS - same as Ctrl+Z / Ctrl+Shift+Z */}
+          <div className="flex gap-2 text-sm">
+            <button
+              type="button"
+              onClick={undo}
+              disabled={!history.canUndo}
+              title="Undo (Ctrl+Z)"
+              className="border border-gray-500 px-3 py-1 rounded cursor-pointer disabled:opacity-30 disabled:cursor-default"
+            >
+              ↶ Undo
+            </button>
+            <button
+              type="button"
+              onClick={redo}
+              disabled={!history.canRedo}
+              title="Redo (Ctrl+Shift+Z)"
+              className="border border-gray-500 px-3 py-1 rounded cursor-pointer disabled:opacity-30 disabled:cursor-default"
+            >
+              ↷ Redo
+            </button>
+          </div>
+        </div>
+
+        {/* VIEW SWITCHER - Notes / Trash */}
+        <div className="flex gap-4 mt-4 text-sm">
+          <button
+            type="button"
+            onClick={() => setView("notes")}
+            aria-pressed={view === "notes"}
+            className={`cursor-pointer pb-1 ${
+              view === "notes" ? "border-b-2 border-white" : "text-gray-400"
+            }`}
+          >
+            Notes ({activeNotes.length})
+          </button>
+          <button
+            type="button"
+            onClick={() => setView("trash")}
+            aria-pressed={view === "trash"}
+            className={`cursor-pointer pb-1 ${
+              view === "trash" ? "border-b-2 border-white" : "text-gray-400"
+            }`}
+          >
+            🗑️ Trash ({trashedNotes.length})
+          </button>
+        </div>
+
+        {/* Screen readers announce keyboard reordering from here */}
+        <p aria-live="assertive" className="sr-only">
+          {reorder.announcement}
+        </p>
+
+        {view === "trash" ? (
+          <TrashList
+            notes={trashedNotes}
+            now={now}
+            onRestore={restoreNote}
+            onDeleteForever={deleteForever}
+            onEmptyTrash={emptyTrash}
+          />
+        ) : (
+          <>
+            {/* SEARCH BOX */}
+            {/* type="search" gives a built-in clear (×) button in most browsers */}
+            <input
+              type="search"
+              placeholder="Search notes..."
+              aria-label="Search notes"
+              className="mt-6 px-5 w-full font-medium py-2 border-2 outline-none rounded"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+
+            {/* TAG CHIPS - every #tag found in any note */}
+            {allTags.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-4">
+                {allTags.map((tag) => (
+                  <button
+                    key={tag}
+                    type="button"
+                    onClick={() => toggleTag(tag)}
+                    aria-pressed={tags.includes(tag)}
+                    className={`px-3 py-0.5 rounded-full text-sm border cursor-pointer ${
+                      tags.includes(tag)
+                        ? "bg-white text-black border-white"
+                        : "border-gray-500 text-gray-300"
+                    }`}
+                  >
+                    #{tag}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* EXPORT / IMPORT */}
+            <TransferMenu
+              notes={activeNotes}
+              visibleNotes={visibleNotes}
+              isFiltering={isFiltering}
+              onImportFile={handleImportFile}
+            />
+
+            {/* FILTER SUMMARY */}
+            {isFiltering && (
+              <p className="mt-4 text-sm text-gray-400">
+                Showing {visibleNotes.length} of {activeNotes.length} notes{" "}
                 <button
-                  onClick={() => {
-                    deleteNote(idx);
-                  }}
-                  className="w-full cursor-pointer active:scale-95 bg-red-500 py-1 text-xs rounded font-bold text-white"
+                  type="button"
+                  onClick={clearFilters}
+                  className="underline cursor-pointer text-white"
                 >
-                  Delete
+                  Clear filters
                 </button>
-              </div>
-            );
-          })}
-        </div>
+              </p>
+            )}
+
+            <div className="flex flex-wrap items-start justify-start gap-5 mt-6 h-[70%] overflow-auto">
+              {/* MAP THROUGH THE FILTERED NOTES */}
+              {/* .map() creates a NoteCard component for each note in the array */}
+              {/* key={note.id} helps React identify which items changed (required for lists) */}
+              {/* The id stays the same for the note's whole life, unlike its index */}
+              {visibleNotes.map((note) => (
+                <NoteCard
+                  key={note.id}
+                  note={note}
+                  now={now}
+                  isEditing={note.id === editingId}
+                  searchTerms={searchTerms}
+                  activeTags={tags}
+                  onEdit={startEditing}
+                  onDelete={deleteNote}
+                  onTagClick={toggleTag}
+                  onToggleTask={toggleNoteTask}
+                  onTogglePin={togglePin}
+                  isDragging={note.id === reorder.draggingId}
+                  isCarried={note.id === reorder.carryingId}
+                  changedElsewhere={remoteChangedIds.has(note.id)}
+                  onReadMore={setReadingId}
+                  reorder={reorder}
+                />
+              ))}
+
+              {/* EMPTY STATE - filters are on but nothing matches */}
+              {isFiltering && visibleNotes.length === 0 && (
+                <p className="text-gray-400">No notes match your search.</p>
+              )}
+            </div>
+          </>
+        )}
       </div>
+
+      {/* READ MORE - the full note in a modal */}
+      {readingNote && (
+        <NoteModal
+          note={readingNote}
+          now={now}
+          searchTerms={searchTerms}
+          onToggleTask={toggleNoteTask}
+          onEdit={(note) => {
+            setReadingId(null);
+            startEditing(note);
+          }}
+          onClose={() => setReadingId(null)}
+        />
+      )}
+
+      {/* IMPORT SUMMARY - nothing changes until "Import" is clicked */}
+      {pendingImport && (
+        <ImportDialog
+          filename={pendingImport.filename}
+          plan={pendingImport.plan}
+          skipped={pendingImport.skipped}
+          onApply={applyImport}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {/* TOAST - e.g. "Note moved to Trash · Undo" */}
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.undoDeleteId ? "Undo" : undefined}
+          onAction={() => restoreNote(toast.undoDeleteId)}
+          onDismiss={() => setToast(null)}
+        />
+      )}
     </div>
   );
 };
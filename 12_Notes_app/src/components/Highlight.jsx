@@ -0,0 +1,29 @@
+import { escapeRegExp } from "../utils/search";
+
+// ============================================
+// 🖍️ Highlight - wraps matched search terms in <mark>
+// ============================================
+// <Highlight text="Buy milk" terms={["milk"]} />
+// → Buy <mark>milk</mark>
+
+const Highlight = ({ text, terms }) => {
+  if (!terms.length) return text;
+
+  // One capturing group with every term: /(milk|eggs)/gi
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+
+  // split() with a capturing group keeps the matches in the result,
+  // so every ODD index is a matched term:
+  // "Buy milk now".split(/(milk)/i) → ["Buy ", "milk", " now"]
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? (
+      <mark key={i} className="bg-yellow-300 rounded-sm">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+export default Highlight;
@@ -0,0 +1,125 @@
+import { useEffect, useRef, useState } from "react";
+
+// ============================================
+// 🔀 ImportDialog - "here's what the import will do" summary
+// ============================================
+// Shown after a file is picked and BEFORE anything changes.
+// Props:
+//   filename  - name of the picked file
+//   plan      - result of planMerge(): { added, updated, unchanged, conflicts }
+//   skipped   - how many notes in the file were invalid
+//   onApply(resolveConflicts) - "keep-local" or "use-imported"
+//   onCancel
+
+const ImportDialog = ({ filename, plan, skipped, onApply, onCancel }) => {
+  const [resolveConflicts, setResolveConflicts] = useState("keep-local");
+
+  // <dialog> + showModal() gives us a real modal for free:
+  // focus is trapped inside, and Escape closes it
+  const dialogRef = useRef(null);
+  useEffect(() => {
+    // StrictMode runs effects twice in development - only open once
+    if (!dialogRef.current.open) dialogRef.current.showModal();
+  }, []);
+
+  const changes =
+    plan.added.length +
+    plan.updated.length +
+    (resolveConflicts === "use-imported" ? plan.conflicts.length : 0);
+
+  return (
+    <dialog
+      ref={dialogRef}
+      // Escape fires "cancel" - let the parent decide what happens
+      onCancel={(e) => {
+        e.preventDefault();
+        onCancel();
+      }}
+      className="m-auto w-full max-w-lg rounded-xl p-6 bg-white text-black backdrop:bg-black/60"
+    >
+      <h2 className="text-2xl font-bold">Import notes</h2>
+      <p className="mt-1 text-sm text-gray-500 break-all">{filename}</p>
+
+      {/* SUMMARY */}
+      <ul className="mt-4 text-sm flex flex-col gap-1">
+        <li>
+          ➕ <strong>{plan.added.length}</strong> new notes
+        </li>
+        <li>
+          🔄 <strong>{plan.updated.length}</strong> notes updated (the file has
+          a newer version)
+        </li>
+        <li>
+          ✔️ <strong>{plan.unchanged.length}</strong> notes already up to date
+        </li>
+        {skipped > 0 && (
+          <li className="text-red-600">
+            ⚠️ <strong>{skipped}</strong> invalid notes will be skipped
+          </li>
+        )}
+      </ul>
+
+      {/* CONFLICTS - our copy is newer than (or as new as) the file's */}
+      {plan.conflicts.length > 0 && (
+        <fieldset className="mt-4 border border-amber-400 rounded-lg p-3">
+          <legend className="px-1 font-bold text-amber-700">
+            ⚡ {plan.conflicts.length} conflicts
+          </legend>
+          <p className="text-sm">
+            These notes were changed here more recently than in the file:
+          </p>
+          <ul className="mt-2 text-sm list-disc pl-5 max-h-32 overflow-auto">
+            {plan.conflicts.map(({ local, incoming }) => (
+              <li key={local.id}>
+                <strong>{local.title || "Untitled"}</strong>
+                {incoming.title !== local.title && (
+                  <> → file has “{incoming.title || "Untitled"}”</>
+                )}
+              </li>
+            ))}
+          </ul>
+          <div className="mt-3 flex flex-col gap-1 text-sm">
+            <label className="flex gap-2 items-center">
+              <input
+                type="radio"
+                name="resolve"
+                checked={resolveConflicts === "keep-local"}
+                onChange={() => setResolveConflicts("keep-local")}
+              />
+              Keep my versions
+            </label>
+            <label className="flex gap-2 items-center">
+              <input
+                type="radio"
+                name="resolve"
+                checked={resolveConflicts === "use-imported"}
+                onChange={() => setResolveConflicts("use-imported")}
+              />
+              Use the versions from the file
+            </label>
+          </div>
+        </fieldset>
+      )}
+
+      <div className="mt-6 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="border-2 border-black px-4 py-1.5 rounded font-medium cursor-pointer"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onApply(resolveConflicts)}
+          disabled={changes === 0}
+          className="bg-black text-white px-4 py-1.5 rounded font-medium cursor-pointer disabled:opacity-30 disabled:cursor-default"
+        >
+          {changes === 0 ? "Nothing to import" : `Import ${changes} notes`}
+        </button>
+      </div>
+    </dialog>
+  );
+};
+
+export default ImportDialog;
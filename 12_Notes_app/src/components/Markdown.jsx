@@ -0,0 +1,159 @@
+import Highlight from "./Highlight";
+import { parseInline, parseMarkdown, safeHref } from "../utils/markdown";
+
+// ============================================
+// ✍️ Markdown - renders a note's details as formatted text
+// ============================================
+// Props:
+//   source       - the raw details text
+//   terms        - search words to highlight
+//   onToggleTask - called with the line number of a ticked checkbox
+
+// Render the tokens from parseInline() as React elements
+// Bold, italic and link tokens have children, so this calls itself
+const InlineTokens = ({ tokens, terms }) =>
+  tokens.map((token, i) => {
+    switch (token.type) {
+      case "code":
+        return (
+          <code key={i} className="px-1 rounded bg-black/10 font-mono">
+            {token.text}
+          </code>
+        );
+      case "strong":
+        return (
+          <strong key={i}>
+            <InlineTokens tokens={token.children} terms={terms} />
+          </strong>
+        );
+      case "em":
+        return (
+          <em key={i}>
+            <InlineTokens tokens={token.children} terms={terms} />
+          </em>
+        );
+      case "link": {
+        const href = safeHref(token.href);
+        const children = <InlineTokens tokens={token.children} terms={terms} />;
+        // Unsafe links (javascript:, data:, ...) are shown as plain text
+        if (!href) return <span key={i}>{children}</span>;
+        return (
+          <a
+            key={i}
+            href={href}
+            target="_blank"
+            rel="noopener noreferrer"
+            // Don't open the note for editing when following a link
+            onClick={(e) => e.stopPropagation()}
+            className="underline text-blue-700"
+          >
+            {children}
+          </a>
+        );
+      }
+      default:
+        return <Highlight key={i} text={token.text} terms={terms} />;
+    }
+  });
+
+// One line of markdown text → formatted React elements
+const Inline = ({ text, terms }) => (
+  <InlineTokens tokens={parseInline(text)} terms={terms} />
+);
+
+// Heading sizes for #, ##, ### ... (the card is small, so keep them modest)
+const HEADING_CLASSES = [
+  "text-base font-bold",
+  "text-sm font-bold",
+  "text-xs font-bold",
+];
+
+const Markdown = ({ source, terms, onToggleTask }) => {
+  const blocks = parseMarkdown(source);
+
+  return blocks.map((block, i) => {
+    switch (block.type) {
+      case "heading": {
+        // <h4>–<h6> so note headings sit below the card's own <h3> title
+        const Tag = `h${Math.min(block.level + 3, 6)}`;
+        return (
+          <Tag
+            key={i}
+            className={`mt-1 text-black ${
+              HEADING_CLASSES[Math.min(block.level, 3) - 1]
+            }`}
+          >
+            <Inline text={block.text} terms={terms} />
+          </Tag>
+        );
+      }
+
+      case "list": {
+        const List = block.ordered ? "ol" : "ul";
+        const isChecklist = block.items.every((item) => item.checked !== null);
+        return (
+          <List
+            key={i}
+            className={`mt-1 ${
+              isChecklist
+                ? ""
+                : block.ordered
+                  ? "list-decimal pl-4"
+                  : "list-disc pl-4"
+            }`}
+          >
+            {block.items.map((item) => (
+              <li key={item.line}>
+                {item.checked === null ? (
+                  <Inline text={item.text} terms={terms} />
+                ) : (
+                  // CHECKLIST ITEM
+                  // Ticking the box rewrites "[ ]" ↔ "[x]" in the note's source
+                  <label
+                    className="inline-flex items-start gap-1 cursor-pointer"
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={item.checked}
+                      onChange={() => onToggleTask(item.line)}
+                      className="mt-0.5"
+                    />
+                    <span className={item.checked ? "line-through" : ""}>
+                      <Inline text={item.text} terms={terms} />
+                    </span>
+                  </label>
+                )}
+              </li>
+            ))}
+          </List>
+        );
+      }
+
+      case "code":
+        return (
+          <pre
+            key={i}
+            className="mt-1 p-1 rounded bg-black/10 font-mono text-[10px] overflow-x-auto"
+          >
+            <code>{block.text}</code>
+          </pre>
+        );
+
+      default:
+        // Paragraph - keep the user's line breaks
+        return (
+          <p key={i} className="mt-1">
+            {block.lines.map((line, j) => (
+              <span key={j}>
+                {j > 0 && <br />}
+                <Inline text={line} terms={terms} />
+              </span>
+            ))}
+          </p>
+        );
+    }
+  });
+};
+
+export default Markdown;
@@ -0,0 +1,199 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import Highlight from "./Highlight";
+import Markdown from "./Markdown";
+import { getColorClass } from "../utils/notes";
+import { parseTags } from "../utils/search";
+import { formatDateTime, formatRelativeTime } from "../utils/time";
+
+// ============================================
+// 🗒️ NoteCard - one sticky note in the "Recent Notes" grid
+// ============================================
+// Props:
+//   note         - { id, title, details, color, pinned, createdAt, updatedAt }
+//   now          - current time, for the "Edited 5 minutes ago" label
+//   isEditing    - true while this note is loaded in the form
+//   searchTerms  - words to highlight in the title and details
+//   activeTags   - tags currently used as filters
+//   isDragging   - true while this note is being dragged with the mouse
+//   isCarried    - true while this note is picked up with the keyboard
+//   reorder      - drag / keyboard handlers from useReorder()
+//   changedElsewhere - true for a few seconds after another tab edited it
+//   onEdit, onDelete, onTagClick, onToggleTask, onTogglePin,
+//   onReadMore - callbacks from App
+
+const NoteCard = ({
+  note,
+  now,
+  isEditing,
+  searchTerms,
+  activeTags,
+  onEdit,
+  onDelete,
+  onTagClick,
+  onToggleTask,
+  onTogglePin,
+  isDragging,
+  isCarried,
+  reorder,
+  changedElsewhere,
+  onReadMore,
+}) => {
+  const tags = parseTags(note.details);
+
+  // "READ MORE"
+  // The card has a fixed size. If the content is taller than the space it
+  // has, it gets cut off and a "Read more" button opens the full note.
+  // useLayoutEffect measures AFTER the DOM updates but BEFORE the browser
+  // paints, so the button never flickers in or out
+  const contentRef = useRef(null);
+  const [isOverflowing, setIsOverflowing] = useState(false);
+  useLayoutEffect(() => {
+    const el = contentRef.current;
+    setIsOverflowing(el.scrollHeight > el.clientHeight + 1);
+  }, [note.title, note.details]);
+
+  // Moving a card in the DOM can steal focus from its handle -
+  // while the note is picked up, always put focus back on the handle
+  const handleRef = useRef(null);
+  useEffect(() => {
+    if (isCarried) handleRef.current?.focus();
+  });
+
+  return (
+    <div
+      // Mouse drag-and-drop (see hooks/useReorder.js)
+      draggable
+      onDragStart={(e) => reorder.onDragStart(e, note.id)}
+      onDragOver={(e) => reorder.onDragOver(e, note.id)}
+      onDrop={(e) => reorder.onDrop(e, note.id)}
+      onDragEnd={reorder.onDragEnd}
+      className={`flex justify-between flex-col items-start relative h-52 w-40 rounded-xl text-black pt-9 pb-4 px-4 ${getColorClass(
+        note.color
+      )} ${isEditing ? "ring-4 ring-yellow-400" : ""} ${
+        isCarried ? "ring-4 ring-sky-400 scale-105" : ""
+      } ${isDragging ? "opacity-40" : ""}`}
+    >
+      {/* DRAG HANDLE - focus it and press Space to move with the keyboard */}
+      <button
+        ref={handleRef}
+        type="button"
+        aria-label={`Reorder "${note.title}"`}
+        aria-pressed={isCarried}
+        onKeyDown={(e) => reorder.onHandleKeyDown(e, note)}
+        onBlur={reorder.onHandleBlur}
+        className="absolute top-2 left-3 px-1 rounded cursor-grab text-gray-600 hover:bg-black/10"
+      >
+        ⠿
+      </button>
+
+      {/* SYNC HINT - this note was just updated from another tab */}
+      {changedElsewhere && (
+        <span
+          title="Updated in another tab"
+          className="absolute -top-2 left-1/2 -translate-x-1/2 px-2 rounded-full bg-sky-500 text-white text-[10px] font-bold animate-pulse"
+        >
+          ↻ synced
+        </span>
+      )}
+
+      {/* PIN BUTTON - pinned notes always show first */}
+      <button
+        type="button"
+        onClick={() => onTogglePin(note.id)}
+        aria-label={note.pinned ? "Unpin note" : "Pin note"}
+        aria-pressed={note.pinned}
+        title={note.pinned ? "Unpin" : "Pin to top"}
+        className={`absolute top-2 right-3 px-1 rounded cursor-pointer hover:bg-black/10 ${
+          note.pinned ? "" : "opacity-30 grayscale"
+        }`}
+      >
+        📌
+      </button>
+
+      {/* NOTE CONTENT */}
+      {/* Clicking the note loads it into the form for editing */}
+      {/* It's a <div>, not a <button>, because the details can contain */}
+      {/* checkboxes and links - those can't live inside a button */}
+      <div
+        ref={contentRef}
+        onClick={() => onEdit(note)}
+        title="Click to edit"
+        className="text-left w-full flex-1 min-h-0 overflow-hidden cursor-pointer"
+      >
+        {/* The title is a real button so keyboard users can Tab to it */}
+        <h3 className="leading-tight text-lg font-bold break-words">
+          <button
+            type="button"
+            onClick={(e) => {
+              // The div above would call onEdit a second time
+              e.stopPropagation();
+              onEdit(note);
+            }}
+            className="text-left cursor-pointer outline-none focus-visible:underline"
+          >
+            <Highlight text={note.title} terms={searchTerms} />
+          </button>
+        </h3>
+        {/* Details are written in Markdown - see utils/markdown.js */}
+        <div className="mt-1 leading-tight text-xs font-semibold text-gray-600">
+          <Markdown
+            source={note.details}
+            terms={searchTerms}
+            onToggleTask={(line) => onToggleTask(note.id, line)}
+          />
+        </div>
+      </div>
+
+      {isOverflowing && (
+        <button
+          type="button"
+          onClick={() => onReadMore(note.id)}
+          className="text-[11px] font-bold underline cursor-pointer"
+        >
+          Read more
+        </button>
+      )}
+
+      {/* When the note was last changed, e.g. "Edited 5 minutes ago" */}
+      <time
+        dateTime={new Date(note.updatedAt).toISOString()}
+        title={formatDateTime(note.updatedAt)}
+        className="block mt-1 text-[10px] text-gray-500"
+      >
+        {note.updatedAt > note.createdAt ? "Edited" : "Created"}{" "}
+        {formatRelativeTime(note.updatedAt, now)}
+      </time>
+
+      {/* TAG CHIPS - clicking one filters the grid by that tag */}
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 my-1">
+          {tags.map((tag) => (
+            <button
+              key={tag}
+              type="button"
+              onClick={() => onTagClick(tag)}
+              aria-pressed={activeTags.includes(tag)}
+              className={`px-1.5 rounded-full text-[10px] font-semibold cursor-pointer ${
+                activeTags.includes(tag)
+                  ? "bg-black text-white"
+                  : "bg-black/10 text-gray-700"
+              }`}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* DELETE BUTTON */}
+      <button
+        onClick={() => onDelete(note.id)}
+        className="w-full cursor-pointer active:scale-95 bg-red-500 py-1 text-xs rounded font-bold text-white"
+      >
+        Delete
+      </button>
+    </div>
+  );
+};
+
+export default NoteCard;
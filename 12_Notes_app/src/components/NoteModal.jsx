@@ -0,0 +1,102 @@
+import { useEffect, useRef } from "react";
+import Highlight from "./Highlight";
+import Markdown from "./Markdown";
+import { getColorClass } from "../utils/notes";
+import { parseTags } from "../utils/search";
+import { formatDateTime, formatRelativeTime } from "../utils/time";
+
+// ============================================
+// 📖 NoteModal - the whole note, for notes too long for their card
+// ============================================
+// Opened by the "Read more" button on a NoteCard.
+// Props:
+//   note         - the note to show
+//   now          - current time, for the "Edited 5 minutes ago" label
+//   searchTerms  - words to highlight
+//   onToggleTask(id, line) - checkboxes still work in here
+//   onEdit(note) - load the note into the form
+//   onClose
+
+const NoteModal = ({
+  note,
+  now,
+  searchTerms,
+  onToggleTask,
+  onEdit,
+  onClose,
+}) => {
+  const tags = parseTags(note.details);
+
+  // Same <dialog> trick as ImportDialog - focus trap and Escape for free
+  const dialogRef = useRef(null);
+  useEffect(() => {
+    // StrictMode runs effects twice in development - only open once
+    if (!dialogRef.current.open) dialogRef.current.showModal();
+  }, []);
+
+  return (
+    <dialog
+      ref={dialogRef}
+      aria-labelledby="note-modal-title"
+      // Escape fires "cancel" - let the parent decide what happens
+      onCancel={(e) => {
+        e.preventDefault();
+        onClose();
+      }}
+      className={`m-auto w-full max-w-lg max-h-[80vh] rounded-xl p-6 text-black backdrop:bg-black/60 ${getColorClass(
+        note.color
+      )}`}
+    >
+      <h2 id="note-modal-title" className="text-2xl font-bold break-words">
+        <Highlight text={note.title} terms={searchTerms} />
+      </h2>
+
+      <p className="mt-1 text-xs text-gray-600">
+        Created {formatDateTime(note.createdAt)}
+        {note.updatedAt > note.createdAt && (
+          <> · Edited {formatRelativeTime(note.updatedAt, now)}</>
+        )}
+      </p>
+
+      <div className="mt-4 text-sm font-semibold text-gray-700 break-words">
+        <Markdown
+          source={note.details}
+          terms={searchTerms}
+          onToggleTask={(line) => onToggleTask(note.id, line)}
+        />
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-4">
+          {tags.map((tag) => (
+            <span
+              key={tag}
+              className="px-1.5 rounded-full text-xs font-semibold bg-black/10 text-gray-700"
+            >
+              #{tag}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-6 flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className="border-2 border-black px-4 py-1.5 rounded font-medium cursor-pointer"
+        >
+          Close
+        </button>
+        <button
+          type="button"
+          onClick={() => onEdit(note)}
+          className="bg-black text-white px-4 py-1.5 rounded font-medium cursor-pointer"
+        >
+          Edit
+        </button>
+      </div>
+    </dialog>
+  );
+};
+
+export default NoteModal;
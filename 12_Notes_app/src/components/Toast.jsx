@@ -0,0 +1,40 @@
+// ============================================
+// 🍞 Toast - a small message in the bottom corner
+// ============================================
+// Props:
+//   message     - text to show
+//   actionLabel - optional button text, e.g. "Undo"
+//   onAction    - runs when the button is clicked
+//   onDismiss   - runs when the × is clicked
+// App decides when the toast disappears (it sets a timer).
+
+const Toast = ({ message, actionLabel, onAction, onDismiss }) => {
+  return (
+    // role="status" makes screen readers read the message out politely
+    <div
+      role="status"
+      className="fixed bottom-6 right-6 flex items-center gap-4 bg-white text-black px-5 py-3 rounded-lg shadow-lg"
+    >
+      <span className="font-medium">{message}</span>
+      {actionLabel && (
+        <button
+          type="button"
+          onClick={onAction}
+          className="font-bold text-sky-700 underline cursor-pointer"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+        className="text-gray-500 cursor-pointer"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default Toast;
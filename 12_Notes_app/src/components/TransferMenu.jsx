@@ -0,0 +1,91 @@
+import { useRef, useState } from "react";
+import {
+  downloadFile,
+  exportFilename,
+  exportJson,
+  exportMarkdown,
+} from "../utils/notesTransfer";
+
+// ============================================
+// 📦 TransferMenu - export / import buttons above the notes grid
+// ============================================
+// Props:
+//   notes         - every note in the grid (not the Trash)
+//   visibleNotes  - the notes left after search / tag filters
+//   isFiltering   - true when search or tag filters are on
+//   onImportFile(file) - called with the File the user picked
+
+const TransferMenu = ({ notes, visibleNotes, isFiltering, onImportFile }) => {
+  // Export only what's on screen instead of everything
+  const [onlyFiltered, setOnlyFiltered] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const toExport = isFiltering && onlyFiltered ? visibleNotes : notes;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-4 text-sm">
+      <button
+        type="button"
+        onClick={() =>
+          downloadFile(
+            exportFilename("json"),
+            exportJson(toExport),
+            "application/json"
+          )
+        }
+        disabled={toExport.length === 0}
+        className="border border-gray-500 px-3 py-1 rounded cursor-pointer disabled:opacity-30 disabled:cursor-default"
+      >
+        ⬇️ Export JSON
+      </button>
+      <button
+        type="button"
+        onClick={() =>
+          downloadFile(
+            exportFilename("md"),
+            exportMarkdown(toExport),
+            "text/markdown"
+          )
+        }
+        disabled={toExport.length === 0}
+        className="border border-gray-500 px-3 py-1 rounded cursor-pointer disabled:opacity-30 disabled:cursor-default"
+      >
+        ⬇️ Export Markdown
+      </button>
+
+      {/* The real file input is hidden - this button opens it */}
+      <button
+        type="button"
+        onClick={() => fileInputRef.current.click()}
+        className="border border-gray-500 px-3 py-1 rounded cursor-pointer"
+      >
+        ⬆️ Import…
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.md,.markdown,application/json,text/markdown"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          // Reset so picking the same file again still fires onChange
+          e.target.value = "";
+          if (file) onImportFile(file);
+        }}
+      />
+
+      {isFiltering && (
+        <label className="flex items-center gap-1 text-gray-400">
+          <input
+            type="checkbox"
+            checked={onlyFiltered}
+            onChange={(e) => setOnlyFiltered(e.target.checked)}
+          />
+          Export only the {visibleNotes.length} filtered notes
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default TransferMenu;
@@ -0,0 +1,78 @@
+import { daysLeftInTrash, TRASH_DAYS } from "../utils/notes";
+import { formatRelativeTime } from "../utils/time";
+
+// ============================================
+// 🗑️ TrashList - deleted notes waiting to be purged
+// ============================================
+// Props:
+//   notes            - trashed notes (deletedAt is set)
+//   now              - current time, for "deleted 2 days ago"
+//   onRestore(id)    - move a note back to the notes grid
+//   onDeleteForever(id), onEmptyTrash() - remove for good
+
+const TrashList = ({
+  notes,
+  now,
+  onRestore,
+  onDeleteForever,
+  onEmptyTrash,
+}) => {
+  if (notes.length === 0) {
+    return <p className="mt-6 text-gray-400">Trash is empty.</p>;
+  }
+
+  // Most recently deleted first
+  const sorted = [...notes].sort((a, b) => b.deletedAt - a.deletedAt);
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-400">
+          Notes are deleted for good after {TRASH_DAYS} days.
+        </p>
+        <button
+          type="button"
+          onClick={onEmptyTrash}
+          className="text-sm text-red-400 underline cursor-pointer"
+        >
+          Empty trash
+        </button>
+      </div>
+
+      <ul className="mt-4 flex flex-col gap-3">
+        {sorted.map((note) => (
+          <li
+            key={note.id}
+            className="flex items-center justify-between gap-4 border border-gray-700 rounded-lg px-4 py-3"
+          >
+            <div className="min-w-0">
+              <h3 className="font-bold truncate">{note.title || "Untitled"}</h3>
+              <p className="text-xs text-gray-400">
+                Deleted {formatRelativeTime(note.deletedAt, now)} ·{" "}
+                {daysLeftInTrash(note, now)} days left
+              </p>
+            </div>
+            <div className="flex gap-2 shrink-0">
+              <button
+                type="button"
+                onClick={() => onRestore(note.id)}
+                className="bg-white text-black text-xs font-bold px-3 py-1 rounded cursor-pointer active:scale-95"
+              >
+                Restore
+              </button>
+              <button
+                type="button"
+                onClick={() => onDeleteForever(note.id)}
+                className="bg-red-500 text-white text-xs font-bold px-3 py-1 rounded cursor-pointer active:scale-95"
+              >
+                Delete forever
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TrashList;
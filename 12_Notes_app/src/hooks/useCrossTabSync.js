@@ -0,0 +1,61 @@
+import { useEffect, useRef, useState } from "react";
+import { subscribeToNotes } from "../utils/notesStorage";
+import { findRemovedIds, mergeRemoteNotes } from "../utils/notesSync";
+
+// ============================================
+// 🪟 useCrossTabSync - keep every open tab's notes in step
+// ============================================
+// Each tab saves to localStorage whenever its notes change.
+// This hook listens for saves made by OTHER tabs and merges them in.
+//
+// Returns a Set of note ids that were just changed by another tab -
+// each id stays in the Set for HIGHLIGHT_MS so the card can show a hint.
+
+const HIGHLIGHT_MS = 8000;
+
+export const useCrossTabSync = (notes, setNotes) => {
+  const [changedIds, setChangedIds] = useState(() => new Set());
+
+  // The storage listener is added once, but must always merge into the
+  // LATEST notes - a ref gives it that without re-subscribing
+  const notesRef = useRef(notes);
+  useEffect(() => {
+    notesRef.current = notes;
+  }, [notes]);
+
+  // Timers that remove ids from changedIds, cleared on unmount
+  const timersRef = useRef([]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToNotes(({ notes: remote, previous }) => {
+      const result = mergeRemoteNotes(
+        notesRef.current,
+        remote,
+        findRemovedIds(previous, remote)
+      );
+
+      notesRef.current = result.notes;
+      setNotes(result.notes);
+
+      if (result.changedIds.length === 0) return;
+
+      setChangedIds((ids) => new Set([...ids, ...result.changedIds]));
+      const timer = setTimeout(() => {
+        setChangedIds((ids) => {
+          const next = new Set(ids);
+          result.changedIds.forEach((id) => next.delete(id));
+          return next;
+        });
+      }, HIGHLIGHT_MS);
+      timersRef.current.push(timer);
+    });
+
+    const timers = timersRef.current;
+    return () => {
+      unsubscribe();
+      timers.forEach(clearTimeout);
+    };
+  }, [setNotes]);
+
+  return changedIds;
+};
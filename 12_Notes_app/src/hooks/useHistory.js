@@ -0,0 +1,137 @@
+import { useCallback, useState } from "react";
+import { putNote } from "../utils/notes";
+
+// ============================================
+// ↩️ useHistory - undo / redo for note changes
+// ============================================
+// Instead of saving a copy of the WHOLE notes array for every change,
+// each history entry remembers the notes it touched, before and after:
+//
+//   { label: "Delete note", changes: [{ before: {...note}, after: {...note, deletedAt} }] }
+//   { label: "Add note",    changes: [{ before: null,      after: {...newNote} }] }
+//
+// Most entries change one note; an import changes many at once.
+// Undo puts back the `before` values, redo the `after` values (by id) -
+// but ONLY the fields that entry changed. Pin the note or give it a new
+// color after an edit, and undoing the edit keeps the pin and the color.
+// Changes that aren't recorded (pinning, reordering) are never touched,
+// so undoing an old edit never scrambles the order you dragged notes into.
+//
+// A note deleted forever has its entries removed with forget(id), and an
+// EDIT of a note that's gone anyway (e.g. deleted in another tab) is
+// skipped. Adding or removing a whole note is always applied, though:
+// this tab can't tell that another tab deleted a note forever, so redoing
+// "Add note" (or undoing a removal) brings that note back.
+//
+// Undo and redo are new changes, so the notes they touch get a fresh
+// updatedAt - the OLD one would lose against the newer copy other tabs
+// still have (last writer wins, see utils/notesSync.js).
+
+// Oldest entries are dropped after this many
+const MAX_ENTRIES = 100;
+
+const noteIdOf = (change) => (change.before ?? change.after).id;
+
+// The fields one change touched, e.g. ["title"] - updatedAt isn't put
+// back, applySide stamps a new one
+const changedFields = ({ before, after }) =>
+  Object.keys({ ...before, ...after }).filter(
+    (key) => key !== "updatedAt" && before[key] !== after[key]
+  );
+
+// Apply one side ("before" or "after") of every change in an entry
+const applySide = (notes, changes, side, now = Date.now()) =>
+  changes.reduce((current, change) => {
+    const id = noteIdOf(change);
+    const note = current.find((n) => n.id === id);
+    const target = change[side];
+
+    // Adding or removing a whole note (the other side is null)
+    if (change.before === null || change.after === null) {
+      return putNote(current, id, target && { ...target, updatedAt: now });
+    }
+    // Edited, but the note is gone now - nothing to put back
+    if (!note) return current;
+
+    const fields = {};
+    changedFields(change).forEach((key) => (fields[key] = target[key]));
+    return putNote(current, id, { ...note, ...fields, updatedAt: now });
+  }, notes);
+
+// Drop every change to one of `ids` - and entries left with no changes
+const withoutNotes = (entries, ids) =>
+  entries
+    .map((entry) => ({
+      ...entry,
+      changes: entry.changes.filter(
+        (change) => !ids.includes(noteIdOf(change))
+      ),
+    }))
+    .filter((entry) => entry.changes.length > 0);
+
+export const useHistory = (setNotes) => {
+  const [history, setHistory] = useState({ past: [], future: [] });
+
+  // Call this right after changing several notes at once
+  // changes = [{ before, after }, ...]
+  // A new change clears the redo stack (like every text editor)
+  const recordBatch = useCallback((label, changes) => {
+    if (changes.length === 0) return;
+    setHistory((h) => ({
+      past: [...h.past, { label, changes }].slice(-MAX_ENTRIES),
+      future: [],
+    }));
+  }, []);
+
+  // Call this right after changing a single note
+  const record = useCallback(
+    (label, before, after) => recordBatch(label, [{ before, after }]),
+    [recordBatch]
+  );
+
+  // Both return the entry they applied (or null) so the UI can say what happened
+  const undo = useCallback(() => {
+    const entry = history.past.at(-1);
+    if (!entry) return null;
+
+    // Undo in reverse order, so the last change is taken back first
+    setNotes((notes) =>
+      applySide(notes, [...entry.changes].reverse(), "before")
+    );
+    setHistory({
+      past: history.past.slice(0, -1),
+      future: [entry, ...history.future],
+    });
+    return entry;
+  }, [history, setNotes]);
+
+  const redo = useCallback(() => {
+    const entry = history.future[0];
+    if (!entry) return null;
+
+    setNotes((notes) => applySide(notes, entry.changes, "after"));
+    setHistory({
+      past: [...history.past, entry],
+      future: history.future.slice(1),
+    });
+    return entry;
+  }, [history, setNotes]);
+
+  // Call this when notes are deleted forever - their history goes too
+  const forget = useCallback((ids) => {
+    setHistory((h) => ({
+      past: withoutNotes(h.past, ids),
+      future: withoutNotes(h.future, ids),
+    }));
+  }, []);
+
+  return {
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    record,
+    recordBatch,
+    forget,
+    undo,
+    redo,
+  };
+};
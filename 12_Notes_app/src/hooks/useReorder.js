@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { moveNote, moveNoteToIndex } from "../utils/notes";
+
+// ============================================
+// ↕️ useReorder - drag-and-drop + keyboard reordering
+// ============================================
+// MOUSE:    drag a sticky note and drop it on another one
+// KEYBOARD: focus a note's ⠿ handle, then
+//             Space       → pick the note up
+//             Arrow keys  → move it one place back / forward
+//             Space       → drop it
+//             Escape      → put it back where it was
+//
+// notes        - the full notes array (its order is what gets saved)
+// setNotes     - state setter for notes
+// displayed    - the notes as shown on screen (pinned first, filtered)
+//
+// Notes can only be moved within their own group: pinned among pinned,
+// unpinned among unpinned - pinned notes always stay on top.
+
+export const useReorder = ({ notes, setNotes, displayed }) => {
+  // Mouse: id of the note being dragged
+  const [draggingId, setDraggingId] = useState(null);
+
+  // Keyboard: { id, originalIndex } of the note picked up with Space
+  // `originalIndex` is where it was in the notes array, for Escape
+  const [carrying, setCarrying] = useState(null);
+
+  // Text read out by screen readers (rendered in an aria-live region)
+  const [announcement, setAnnouncement] = useState("");
+
+  const findNote = (id) => notes.find((note) => note.id === id);
+
+  const sameGroup = (id, targetId) =>
+    findNote(id)?.pinned === findNote(targetId)?.pinned;
+
+  // ----- MOUSE (HTML5 drag and drop) -----
+
+  const onDragStart = (e, id) => {
+    setDraggingId(id);
+    // Firefox won't start a drag unless some data is set
+    e.dataTransfer.setData("text/plain", id);
+    e.dataTransfer.effectAllowed = "move";
+  };
+
+  // preventDefault() is what tells the browser "you may drop here"
+  const onDragOver = (e, targetId) => {
+    if (draggingId && sameGroup(draggingId, targetId)) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+    }
+  };
+
+  const onDrop = (e, targetId) => {
+    e.preventDefault();
+    if (draggingId && sameGroup(draggingId, targetId)) {
+      setNotes(moveNote(notes, draggingId, targetId));
+    }
+    setDraggingId(null);
+  };
+
+  const onDragEnd = () => setDraggingId(null);
+
+  // ----- KEYBOARD -----
+
+  const onHandleKeyDown = (e, note) => {
+    const isCarrying = carrying?.id === note.id;
+
+    // Space: pick up / drop
+    if (e.key === " ") {
+      e.preventDefault();
+      if (isCarrying) {
+        setCarrying(null);
+        setAnnouncement(`Dropped "${note.title}".`);
+      } else {
+        setCarrying({
+          id: note.id,
+          originalIndex: notes.findIndex((n) => n.id === note.id),
+        });
+        setAnnouncement(
+          `Picked up "${note.title}". Use the arrow keys to move it, Space to drop, Escape to cancel.`
+        );
+      }
+      return;
+    }
+
+    if (!isCarrying) return;
+
+    // Escape: put the note back where it was picked up
+    // Only THIS note moves - edits that arrived meanwhile (e.g. from
+    // another tab) are kept, which restoring a whole snapshot would undo
+    if (e.key === "Escape") {
+      // Stop the page-wide Escape handler (cancel editing) from also running
+      e.stopPropagation();
+      setNotes((current) =>
+        moveNoteToIndex(current, carrying.id, carrying.originalIndex)
+      );
+      setCarrying(null);
+      setAnnouncement(`Cancelled. "${note.title}" is back where it was.`);
+      return;
+    }
+
+    const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[
+      e.key
+    ];
+    if (!step) return;
+
+    // Arrow keys would scroll the page - we use them for moving instead
+    e.preventDefault();
+
+    // Neighbor on screen, so moving works the same with filters on
+    const index = displayed.findIndex((n) => n.id === note.id);
+    const neighbor = displayed[index + step];
+
+    if (!neighbor || neighbor.pinned !== note.pinned) {
+      setAnnouncement(`"${note.title}" can't move any further.`);
+      return;
+    }
+
+    setNotes(moveNote(notes, note.id, neighbor.id));
+    setAnnouncement(
+      `"${note.title}" moved to position ${index + step + 1} of ${displayed.length}.`
+    );
+  };
+
+  // Tabbing away while carrying a note drops it where it is
+  // (relatedTarget is the element receiving focus - it's null when the
+  // browser blurs the handle only because React moved it in the DOM)
+  const onHandleBlur = (e) => {
+    if (e.relatedTarget) setCarrying(null);
+  };
+
+  return {
+    draggingId,
+    carryingId: carrying?.id ?? null,
+    announcement,
+    onDragStart,
+    onDragOver,
+    onDrop,
+    onDragEnd,
+    onHandleKeyDown,
+    onHandleBlur,
+  };
+};
@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+
+// ============================================
+// 🔗 useUrlFilters - filter state that lives in the URL
+// ============================================
+// The search text and selected tags are mirrored into the query string:
+//
+//   /?q=milk&tag=shopping&tag=home
+//
+// so a filtered view can be bookmarked or shared, and the browser's
+// Back / Forward buttons move between filter states.
+
+// Read the current filters from window.location
+const readFilters = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    query: params.get("q") ?? "",
+    tags: params.getAll("tag"),
+  };
+};
+
+// Write filters into the URL without reloading the page
+// push = true adds a history entry (Back undoes it)
+// push = false replaces the current entry (used while typing)
+const writeFilters = ({ query, tags }, push) => {
+  const params = new URLSearchParams(window.location.search);
+  params.delete("q");
+  params.delete("tag");
+  if (query) params.set("q", query);
+  tags.forEach((tag) => params.append("tag", tag));
+
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ""}${
+    window.location.hash
+  }`;
+
+  if (push) {
+    window.history.pushState(null, "", url);
+  } else {
+    window.history.replaceState(null, "", url);
+  }
+};
+
+export const useUrlFilters = () => {
+  // Lazy initial state: read the URL once on first render
+  const [filters, setFilters] = useState(readFilters);
+
+  // Back / Forward change the URL without re-rendering us - listen for it
+  useEffect(() => {
+    const handlePopState = () => setFilters(readFilters());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const update = (next, push) => {
+    setFilters(next);
+    writeFilters(next, push);
+  };
+
+  const setQuery = (query) => update({ ...filters, query }, false);
+
+  // Clicking a tag chip selects it, clicking it again deselects it
+  const toggleTag = (tag) => {
+    const tags = filters.tags.includes(tag)
+      ? filters.tags.filter((t) => t !== tag)
+      : [...filters.tags, tag];
+    update({ ...filters, tags }, true);
+  };
+
+  const clearFilters = () => update({ query: "", tags: [] }, true);
+
+  return { ...filters, setQuery, toggleTag, clearFilters };
+};
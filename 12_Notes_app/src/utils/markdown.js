@@ -0,0 +1,171 @@
+// ============================================
+// ✍️ TINY MARKDOWN PARSER
+// ============================================
+// Turns the details text into a list of "blocks" that the <Markdown />
+// component renders with normal React elements.
+//
+// Why not just build an HTML string and use dangerouslySetInnerHTML?
+// Because then "<img onerror=...>" typed into a note would RUN.
+// Here every piece of text ends up as a React text node, which React
+// escapes for us - there is no way to inject HTML. Links are the only
+// thing that needs checking (see safeHref below).
+//
+// Supported:
+//   # Heading ... ###### Heading
+//   - item / * item / 1. item
+//   - [ ] todo / - [x] done       (checklists)
+//   ```code block```
+//   `inline code`, **bold**, *italic*, [text](https://link)
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const TASK = /^\[([ xX])\]\s+(.*)$/;
+
+const isBlockStart = (line) =>
+  FENCE.test(line) || HEADING.test(line) || LIST_ITEM.test(line);
+
+// parseMarkdown("# Hi\n- [ ] milk") →
+// [
+//   { type: "heading", level: 1, text: "Hi" },
+//   { type: "list", ordered: false, items: [{ text: "milk", checked: false, line: 1 }] },
+// ]
+// Every list item remembers its line number so a ticked checkbox
+// can be written back into the right line of the source text
+export const parseMarkdown = (source = "") => {
+  const lines = source.split("\n");
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Blank lines only separate blocks
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // ```code block``` - everything until the closing fence, as-is
+    if (FENCE.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // skip the closing fence
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2],
+      });
+      i++;
+      continue;
+    }
+
+    // Consecutive list items become one list
+    if (LIST_ITEM.test(line)) {
+      const ordered = /\d/.test(line.match(LIST_ITEM)[1]);
+      const items = [];
+      while (i < lines.length && LIST_ITEM.test(lines[i])) {
+        const text = lines[i].match(LIST_ITEM)[2];
+        const task = text.match(TASK);
+        items.push(
+          task
+            ? { text: task[2], checked: task[1] !== " ", line: i }
+            : { text, checked: null, line: i }
+        );
+        i++;
+      }
+      blocks.push({ type: "list", ordered, items });
+      continue;
+    }
+
+    // Anything else is a paragraph that runs until a blank line
+    // or the start of another block
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: "paragraph", lines: paragraph });
+  }
+
+  return blocks;
+};
+
+// ============================================
+// INLINE FORMATTING
+// ============================================
+// One regex with a group per kind of formatting:
+//   1: `code`  2: **bold**  3: *italic*  4: _italic_  5, 6: [text](url)
+// The (?<!\w) / (?!\w) around _italic_ keep snake_case_words intact
+const INLINE =
+  /`([^`]+)`|\*\*(.+?)\*\*|\*([^*]+)\*|(?<!\w)_([^_]+)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+// parseInline("a **b** `c`") →
+// [{ type: "text", text: "a " }, { type: "strong", children: [...] }, ...]
+export const parseInline = (text) => {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > last) {
+      tokens.push({ type: "text", text: text.slice(last, match.index) });
+    }
+
+    const [, code, strong, star, underscore, linkText, href] = match;
+    if (code !== undefined) {
+      tokens.push({ type: "code", text: code });
+    } else if (strong !== undefined) {
+      tokens.push({ type: "strong", children: parseInline(strong) });
+    } else if (star !== undefined || underscore !== undefined) {
+      tokens.push({ type: "em", children: parseInline(star ?? underscore) });
+    } else {
+      tokens.push({ type: "link", href, children: parseInline(linkText) });
+    }
+
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) {
+    tokens.push({ type: "text", text: text.slice(last) });
+  }
+
+  return tokens;
+};
+
+// Only allow links that can't run code
+// "javascript:alert(1)" → null, "https://react.dev" → "https://react.dev"
+export const safeHref = (href) => {
+  try {
+    const url = new URL(href);
+    return ["http:", "https:", "mailto:"].includes(url.protocol)
+      ? url.href
+      : null;
+  } catch {
+    // Relative or malformed URLs aren't useful inside a note
+    return null;
+  }
+};
+
+// ============================================
+// CHECKLISTS
+// ============================================
+// Flip "- [ ]" ↔ "- [x]" on one line of the source text
+// toggleTask("- [ ] milk\n- [ ] eggs", 1) → "- [ ] milk\n- [x] eggs"
+export const toggleTask = (source, lineIndex) => {
+  const lines = source.split("\n");
+  lines[lineIndex] = lines[lineIndex].replace(
+    /^(\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\]/,
+    (_, prefix, mark) => `${prefix}[${mark === " " ? "x" : " "}]`
+  );
+  return lines.join("\n");
+};
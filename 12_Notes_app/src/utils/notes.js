@@ -0,0 +1,152 @@
+// ============================================
+// 🗒️ NOTE HELPERS
+// ============================================
+// Small pure functions for creating, coloring, ordering and trashing notes.
+// Keeping them outside App.jsx means the storage layer (and later
+// features) can build notes exactly the same way the form does.
+
+// Generate a unique id for a note
+// crypto.randomUUID() exists in every modern browser (secure contexts),
+// the fallback covers plain-http dev servers on older browsers
+export const createId = () => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// ============================================
+// 🎨 COLOR PALETTE
+// ============================================
+// Tailwind only generates classes it can FIND in the source code,
+// so every class is written out in full here (no `bg-${color}-200`)
+export const NOTE_COLORS = [
+  {
+    id: "paper",
+    label: "Sticky paper",
+    className:
+      "bg-cover bg-[url('https://static.vecteezy.com/system/resources/previews/037/152/677/non_2x/sticky-note-paper-background-free-png.png')]",
+  },
+  { id: "yellow", label: "Yellow", className: "bg-yellow-200" },
+  { id: "pink", label: "Pink", className: "bg-pink-200" },
+  { id: "blue", label: "Blue", className: "bg-sky-200" },
+  { id: "green", label: "Green", className: "bg-lime-200" },
+  { id: "purple", label: "Purple", className: "bg-violet-200" },
+];
+
+export const DEFAULT_COLOR = NOTE_COLORS[0].id;
+
+// Background classes for a color id (unknown ids fall back to paper)
+export const getColorClass = (colorId) =>
+  (NOTE_COLORS.find((c) => c.id === colorId) ?? NOTE_COLORS[0]).className;
+
+// Build a brand-new note object from form values
+// createdAt / updatedAt are stored as numbers (milliseconds since 1970)
+// because numbers survive JSON.stringify without any conversion
+export const createNote = ({ title, details, color = DEFAULT_COLOR }) => {
+  const now = Date.now();
+  return {
+    id: createId(),
+    title,
+    details,
+    color,
+    pinned: false,
+    deletedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// Return an edited copy of a note (never mutate the original)
+// updatedAt is bumped so we always know when a note last changed
+export const updateNote = (note, changes) => ({
+  ...note,
+  ...changes,
+  updatedAt: Date.now(),
+});
+
+// Put one note into the array, by id
+//   note is null       → the note is removed
+//   id already exists  → that note is replaced (keeps its position)
+//   id is new          → the note is added at the end
+// Undo / redo use this to apply a single note's "before" or "after" state
+export const putNote = (notes, id, note) => {
+  if (note === null) return notes.filter((n) => n.id !== id);
+  if (notes.some((n) => n.id === id)) {
+    return notes.map((n) => (n.id === id ? note : n));
+  }
+  return [...notes, note];
+};
+
+// ============================================
+// 📌 ORDERING
+// ============================================
+// The order of the notes array IS the order the user chose,
+// and it's saved to localStorage along with the notes.
+
+// Pinned notes first, everything else after - each group keeps its order
+export const sortPinnedFirst = (notes) => [
+  ...notes.filter((note) => note.pinned),
+  ...notes.filter((note) => !note.pinned),
+];
+
+// Move the note with `id` into the position of the note with `targetId`
+// moveNote([A, B, C], "A", "C") → [B, C, A]
+// moveNote([A, B, C], "C", "A") → [C, A, B]
+export const moveNote = (notes, id, targetId) => {
+  const from = notes.findIndex((note) => note.id === id);
+  const to = notes.findIndex((note) => note.id === targetId);
+  if (from === -1 || to === -1 || from === to) return notes;
+
+  const copy = [...notes];
+  const [moved] = copy.splice(from, 1);
+  copy.splice(to, 0, moved);
+  return copy;
+};
+
+// Move the note with `id` to position `index` (clamped to the array)
+// moveNoteToIndex([A, B, C], "C", 0) → [C, A, B]
+export const moveNoteToIndex = (notes, id, index) => {
+  const from = notes.findIndex((note) => note.id === id);
+  if (from === -1) return notes;
+
+  const copy = [...notes];
+  const [moved] = copy.splice(from, 1);
+  const to = Math.min(Math.max(index, 0), copy.length);
+  if (to === from) return notes;
+  copy.splice(to, 0, moved);
+  return copy;
+};
+
+// ============================================
+// 🗑️ TRASH
+// ============================================
+// Deleting a note only sets deletedAt - it moves to the Trash view.
+// After TRASH_DAYS it is removed for good by purgeExpired().
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const TRASH_DAYS = 30;
+
+export const isTrashed = (note) => note.deletedAt != null;
+
+// Whole days until a trashed note is purged (0 = today)
+export const daysLeftInTrash = (note, now = Date.now()) =>
+  Math.max(0, Math.ceil((note.deletedAt + TRASH_DAYS * DAY_MS - now) / DAY_MS));
+
+// Ids of the trashed notes older than TRASH_DAYS
+export const findExpiredIds = (notes, now = Date.now()) =>
+  notes
+    .filter(
+      (note) => isTrashed(note) && now - note.deletedAt >= TRASH_DAYS * DAY_MS
+    )
+    .map((note) => note.id);
+
+// Drop trashed notes older than TRASH_DAYS
+// Returns the SAME array when nothing expired, so setNotes(purgeExpired)
+// doesn't trigger a re-render (and a localStorage write) for nothing
+export const purgeExpired = (notes, now = Date.now()) => {
+  const kept = notes.filter(
+    (note) => !isTrashed(note) || now - note.deletedAt < TRASH_DAYS * DAY_MS
+  );
+  return kept.length === notes.length ? notes : kept;
+};
@@ -0,0 +1,188 @@
+import { createId, DEFAULT_COLOR } from "./notes";
+
+// ============================================
+// 💾 NOTES STORAGE LAYER
+// ============================================
+// Everything that touches localStorage for the Notes app lives here,
+// so App.jsx only ever works with a plain array of notes.
+//
+// We never save the bare array. We save a VERSIONED ENVELOPE:
+//
+//   { version: 3, notes: [{ id, title, details, color, pinned, deletedAt, createdAt, updatedAt }] }
+//
+// When the shape of a note changes:
+//   1. bump CURRENT_VERSION
+//   2. add a migration step that upgrades the previous version
+// Old data is upgraded on load - it is never thrown away.
+
+export const STORAGE_KEY = "notes-app:notes";
+
+// If the saved value cannot be read at all, it is copied here
+// before we start with an empty list, so nothing is silently lost
+const BACKUP_KEY = `${STORAGE_KEY}:backup`;
+
+export const CURRENT_VERSION = 3;
+
+// ============================================
+// 🔄 MIGRATIONS
+// ============================================
+// migrations[n] turns notes saved at version n into version n + 1
+
+const migrations = {
+  // v0 → v1
+  // v0 = bare array of { title, details } (the original app shape)
+  // v1 = every note gets an id and createdAt / updatedAt timestamps
+  0: (notes) => {
+    const now = Date.now();
+    return notes
+      .filter((note) => note && typeof note === "object")
+      .map((note) => ({
+        ...note,
+        id: note.id ?? createId(),
+        title: String(note.title ?? ""),
+        details: String(note.details ?? ""),
+        createdAt: note.createdAt ?? now,
+        updatedAt: note.updatedAt ?? note.createdAt ?? now,
+      }));
+  },
+
+  // v1 → v2
+  // every note gets a color and a pinned flag
+  // (the array order is already the display order, nothing to do there)
+  1: (notes) =>
+    notes.map((note) => ({
+      ...note,
+      color: note.color ?? DEFAULT_COLOR,
+      pinned: note.pinned ?? false,
+    })),
+
+  // v2 → v3
+  // deleting became "move to Trash": deletedAt is null for live notes
+  2: (notes) =>
+    notes.map((note) => ({ ...note, deletedAt: note.deletedAt ?? null })),
+};
+
+// Turn whatever was parsed from localStorage into { version, notes }
+// Returns null when the value doesn't look like notes at all
+// (also used to read imported JSON files - see notesTransfer.js)
+export const toEnvelope = (parsed) => {
+  // Bare array → the unversioned v0 format
+  if (Array.isArray(parsed)) {
+    return { version: 0, notes: parsed };
+  }
+
+  if (parsed && typeof parsed === "object" && Array.isArray(parsed.notes)) {
+    return { version: Number(parsed.version) || 0, notes: parsed.notes };
+  }
+
+  return null;
+};
+
+// Run every migration step between the saved version and CURRENT_VERSION
+export const migrate = ({ version, notes }) => {
+  let current = notes;
+
+  for (let v = version; v < CURRENT_VERSION; v++) {
+    const step = migrations[v];
+    if (!step) {
+      throw new Error(`No migration from notes schema v${v}`);
+    }
+    current = step(current);
+  }
+
+  return current;
+};
+
+// Keep a copy of data we couldn't understand
+const backupRaw = (raw) => {
+  try {
+    localStorage.setItem(BACKUP_KEY, raw);
+  } catch {
+    // Nothing more we can do - the warning below still tells the developer
+  }
+};
+
+// Saved JSON string → current-version notes array
+// Throws when the string can't be understood
+const parseNotes = (raw) => {
+  const envelope = toEnvelope(JSON.parse(raw));
+  if (!envelope) throw new Error("Unrecognised notes format");
+
+  if (envelope.version > CURRENT_VERSION) {
+    // Saved by a newer version of the app - use it as-is
+    console.warn(
+      `Notes were saved with schema v${envelope.version}, this app knows v${CURRENT_VERSION}`
+    );
+    return envelope.notes;
+  }
+
+  return migrate(envelope);
+};
+
+// ============================================
+// 📥 LOAD
+// ============================================
+// Safe to pass straight to useState(loadNotes) - never throws
+export const loadNotes = () => {
+  let raw;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    // localStorage can be blocked (privacy settings, sandboxed iframes)
+    return [];
+  }
+
+  if (raw === null) return [];
+
+  try {
+    return parseNotes(raw);
+  } catch (err) {
+    console.warn("Could not read saved notes, backed them up:", err);
+    backupRaw(raw);
+    return [];
+  }
+};
+
+// ============================================
+// 📤 SAVE
+// ============================================
+export const saveNotes = (notes) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: CURRENT_VERSION, notes })
+    );
+  } catch (err) {
+    // Quota exceeded or storage blocked - keep the app working in memory
+    console.error("Could not save notes:", err);
+  }
+};
+
+// ============================================
+// 🔔 WATCH OTHER TABS
+// ============================================
+// The "storage" event fires in every OTHER tab of the same site when
+// localStorage changes (never in the tab that made the change).
+// It carries both the old and the new value, so we can tell which notes
+// the other tab removed for good.
+//
+// callback({ notes, previous }) - both are notes arrays
+// Returns a function that stops listening (handy for useEffect cleanup)
+export const subscribeToNotes = (callback) => {
+  const handleStorage = (e) => {
+    if (e.key !== STORAGE_KEY || e.newValue === null) return;
+
+    try {
+      callback({
+        notes: parseNotes(e.newValue),
+        previous: e.oldValue === null ? [] : parseNotes(e.oldValue),
+      });
+    } catch (err) {
+      // Another tab wrote something we can't read - keep what we have
+      console.warn("Ignoring unreadable notes from another tab:", err);
+    }
+  };
+
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+};
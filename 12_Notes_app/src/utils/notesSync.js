@@ -0,0 +1,55 @@
+// ============================================
+// 🔄 CROSS-TAB MERGE
+// ============================================
+// When another tab saves its notes, we merge them into ours note by note.
+// Rule: LAST WRITER WINS - whichever copy has the newer updatedAt is kept.
+//
+// Both tabs run this same merge, so it must give the SAME answer in both,
+// otherwise they'd keep overwriting each other forever.
+
+// Tie-breaker for two different copies with the same updatedAt:
+// compare their JSON text - arbitrary, but identical in every tab
+const pickNewer = (local, remote) => {
+  if (remote.updatedAt !== local.updatedAt) {
+    return remote.updatedAt > local.updatedAt ? remote : local;
+  }
+  return JSON.stringify(remote) > JSON.stringify(local) ? remote : local;
+};
+
+// local      - notes in this tab
+// remote     - notes the other tab just saved
+// removedIds - notes the other tab deleted FOREVER (in its previous save,
+//              missing from this one)
+//
+// Returns { notes, changedIds } - changedIds are the notes whose content
+// came from the other tab, so the UI can point them out
+export const mergeRemoteNotes = (local, remote, removedIds) => {
+  const localById = new Map(local.map((note) => [note.id, note]));
+  const remoteIds = new Set(remote.map((note) => note.id));
+  const changedIds = [];
+
+  // Notes the other tab knows about, in ITS order (so reordering syncs too)
+  const merged = remote.map((remoteNote) => {
+    const localNote = localById.get(remoteNote.id);
+    const winner = localNote ? pickNewer(localNote, remoteNote) : remoteNote;
+    if (winner !== localNote) changedIds.push(remoteNote.id);
+    return winner;
+  });
+
+  // Notes only we have: new here (keep) or deleted there (drop)
+  local.forEach((note) => {
+    if (!remoteIds.has(note.id) && !removedIds.has(note.id)) {
+      merged.push(note);
+    }
+  });
+
+  return { notes: merged, changedIds };
+};
+
+// Ids that were in the other tab's previous save but not in its new one
+export const findRemovedIds = (previous, current) => {
+  const currentIds = new Set(current.map((note) => note.id));
+  return new Set(
+    previous.map((note) => note.id).filter((id) => !currentIds.has(id))
+  );
+};
@@ -0,0 +1,261 @@
+import { createId, DEFAULT_COLOR } from "./notes";
+import { CURRENT_VERSION, migrate, toEnvelope } from "./notesStorage";
+
+// ============================================
+// 📦 IMPORT / EXPORT
+// ============================================
+// Two file formats:
+//
+// JSON     - the same versioned envelope we keep in localStorage,
+//            so older exports are migrated exactly like old saved data
+//
+// Markdown - one "## Title" section per note. A hidden HTML comment
+//            under each heading keeps the id and timestamps, so a
+//            Markdown export can be imported back and merged by id:
+//
+//            ## Shopping List
+//            <!-- note: {"id":"3f1c…","createdAt":…,"updatedAt":…} -->
+//
+//            - [ ] milk
+
+const META_PATTERN = /^<!-- note: (.*) -->$/;
+
+// Everything except title and details goes into the hidden comment
+const META_FIELDS = ["id", "color", "pinned", "createdAt", "updatedAt"];
+
+// ============================================
+// 📤 EXPORT
+// ============================================
+
+export const exportJson = (notes) =>
+  JSON.stringify(
+    {
+      version: CURRENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      notes,
+    },
+    null,
+    2
+  );
+
+export const exportMarkdown = (notes) => {
+  const sections = notes.map((note) => {
+    const meta = Object.fromEntries(META_FIELDS.map((f) => [f, note[f]]));
+    return [
+      `## ${note.title}`,
+      `<!-- note: ${JSON.stringify(meta)} -->`,
+      "",
+      note.details,
+    ].join("\n");
+  });
+
+  return `# Notes\n\n${sections.join("\n\n")}\n`;
+};
+
+// Give the browser a file to download (no server needed)
+export const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// notes-2026-10-18.json
+export const exportFilename = (extension) =>
+  `notes-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+// ============================================
+// 📥 IMPORT
+// ============================================
+// parseImport() throws an Error with a friendly message when the file
+// can't be used at all. Individual bad notes are skipped and reported.
+
+const isValidNote = (note) =>
+  note !== null &&
+  typeof note === "object" &&
+  typeof note.id === "string" &&
+  note.id !== "" &&
+  typeof note.title === "string" &&
+  typeof note.details === "string" &&
+  Number.isFinite(note.createdAt) &&
+  Number.isFinite(note.updatedAt);
+
+// Only keep the fields the app knows about, with safe types
+const cleanNote = (note) => ({
+  id: note.id,
+  title: note.title,
+  details: note.details,
+  color: typeof note.color === "string" ? note.color : DEFAULT_COLOR,
+  pinned: note.pinned === true,
+  deletedAt: Number.isFinite(note.deletedAt) ? note.deletedAt : null,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+});
+
+const parseJsonFile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't valid JSON.");
+  }
+
+  const envelope = toEnvelope(parsed);
+  if (!envelope) {
+    throw new Error("This JSON file doesn't contain a list of notes.");
+  }
+  if (envelope.version > CURRENT_VERSION) {
+    throw new Error(
+      `This file was exported by a newer version of the app (v${envelope.version}).`
+    );
+  }
+
+  return migrate(envelope);
+};
+
+const parseMarkdownFile = (text) => {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const hasMeta = lines.some((line) => META_PATTERN.test(line.trim()));
+  const now = Date.now();
+  const notes = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    const heading = line.match(/^## (.*)$/);
+    const meta = lines[i + 1]?.trim().match(META_PATTERN);
+
+    // Files we exported: only "## heading + <!-- note -->" starts a note,
+    // so "## " lines INSIDE a note's details stay part of the details.
+    // Hand-written files: every "## heading" starts a note.
+    if (heading && (meta || !hasMeta)) {
+      let info = {};
+      if (meta) {
+        try {
+          info = JSON.parse(meta[1]);
+        } catch {
+          // Broken comment - treat it like a hand-written note
+        }
+      }
+      current = {
+        id: createId(),
+        createdAt: now,
+        updatedAt: now,
+        ...info,
+        title: heading[1].trim(),
+        details: [],
+      };
+      notes.push(current);
+      return;
+    }
+
+    if (!current) return; // text before the first note (the "# Notes" title)
+    if (META_PATTERN.test(line.trim()) && current.details.length === 0) return;
+    current.details.push(line);
+  });
+
+  if (notes.length === 0) {
+    throw new Error('No notes found. Each note should start with "## Title".');
+  }
+
+  // Trim blank lines around each note's details
+  return notes.map((note) => ({
+    ...note,
+    details: note.details.join("\n").trim(),
+  }));
+};
+
+// Read an imported file's text into { notes, skipped }
+export const parseImport = (text, filename) => {
+  const isMarkdown = /\.(md|markdown)$/i.test(filename);
+  const raw = isMarkdown ? parseMarkdownFile(text) : parseJsonFile(text);
+
+  const notes = raw.filter(isValidNote).map(cleanNote);
+  const skipped = raw.length - notes.length;
+
+  if (notes.length === 0) {
+    throw new Error("None of the notes in this file are valid.");
+  }
+
+  // The same id twice in one file - keep the newest copy
+  const byId = new Map();
+  notes.forEach((note) => {
+    const seen = byId.get(note.id);
+    if (!seen || note.updatedAt > seen.updatedAt) byId.set(note.id, note);
+  });
+
+  return { notes: [...byId.values()], skipped };
+};
+
+// ============================================
+// 🔀 MERGE (by note id)
+// ============================================
+// planMerge() only WORKS OUT what would happen, so the app can show a
+// summary first. Nothing changes until applyMerge() is called.
+//
+//   added     - id not in the app yet
+//   updated   - imported copy was edited more recently than ours
+//   unchanged - both copies have the same content
+//   conflicts - both copies differ and OURS is newer (or equally new)
+
+const sameContent = (a, b) =>
+  a.title === b.title &&
+  // Markdown import trims the details, so ignore surrounding whitespace
+  a.details.trim() === b.details.trim() &&
+  a.color === b.color &&
+  a.pinned === b.pinned &&
+  a.deletedAt === b.deletedAt;
+
+export const planMerge = (existing, incoming) => {
+  const plan = { added: [], updated: [], unchanged: [], conflicts: [] };
+
+  incoming.forEach((note) => {
+    const local = existing.find((n) => n.id === note.id);
+
+    if (!local) {
+      plan.added.push(note);
+    } else if (sameContent(local, note)) {
+      plan.unchanged.push(note);
+    } else if (note.updatedAt > local.updatedAt) {
+      plan.updated.push({ local, incoming: note });
+    } else {
+      plan.conflicts.push({ local, incoming: note });
+    }
+  });
+
+  return plan;
+};
+
+// Apply a plan. resolveConflicts = "keep-local" or "use-imported"
+// Returns the new notes array and the changes for undo history
+//
+// An imported copy that wins a conflict is OLDER than ours, so it gets a
+// fresh updatedAt - with its old one, other open tabs would keep their
+// newer copy (last writer wins, see notesSync.js) and quietly undo the import
+export const applyMerge = (
+  existing,
+  plan,
+  resolveConflicts,
+  now = Date.now()
+) => {
+  const replacements = [...plan.updated];
+  if (resolveConflicts === "use-imported") {
+    plan.conflicts.forEach(({ local, incoming }) =>
+      replacements.push({ local, incoming: { ...incoming, updatedAt: now } })
+    );
+  }
+
+  const byId = new Map(replacements.map((r) => [r.local.id, r.incoming]));
+  const notes = [
+    ...existing.map((note) => byId.get(note.id) ?? note),
+    ...plan.added,
+  ];
+
+  const changes = [
+    ...replacements.map((r) => ({ before: r.local, after: r.incoming })),
+    ...plan.added.map((note) => ({ before: null, after: note })),
+  ];
+
+  return { notes, changes };
+};
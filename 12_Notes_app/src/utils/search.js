@@ -0,0 +1,47 @@
+// ============================================
+// 🔍 SEARCH & TAG HELPERS
+// ============================================
+// Pure functions used to filter the notes list.
+// Tags are written inline in the details text: "Buy milk #shopping #home"
+
+// A tag is "#" followed by letters, numbers, "_" or "-"
+// (?:^|\s) makes sure "a#b" or URLs like "page#section" aren't tags
+// The "u" flag lets \p{L} match letters from any language
+const TAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// parseTags("Call mum #Family #todo") → ["family", "todo"]
+// Tags are lower-cased and de-duplicated so #Work and #work are the same tag
+export const parseTags = (text = "") => {
+  const tags = new Set();
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    tags.add(match[1].toLowerCase());
+  }
+  return [...tags];
+};
+
+// Every distinct tag used across all notes, sorted A → Z
+export const collectTags = (notes) => {
+  const tags = new Set();
+  notes.forEach((note) => parseTags(note.details).forEach((t) => tags.add(t)));
+  return [...tags].sort();
+};
+
+// "  milk   Eggs " → ["milk", "eggs"]
+export const getSearchTerms = (query) =>
+  query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+// Characters like "." or "(" mean something in a RegExp - escape them
+// so searching for "c++" looks for the literal text "c++"
+export const escapeRegExp = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A note matches when EVERY search term appears in its title or details
+// and it carries EVERY selected tag
+export const matchesFilters = (note, { terms, tags }) => {
+  const haystack = `${note.title}\n${note.details}`.toLowerCase();
+  if (!terms.every((term) => haystack.includes(term))) return false;
+
+  if (tags.length === 0) return true;
+  const noteTags = parseTags(note.details);
+  return tags.every((tag) => noteTags.includes(tag));
+};
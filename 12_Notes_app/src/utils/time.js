@@ -0,0 +1,34 @@
+// ============================================
+// ⏱️ TIME FORMATTING
+// ============================================
+// Intl.RelativeTimeFormat is built into the browser and turns
+// (-5, "minute") into "5 minutes ago" - no date library needed.
+
+const rtf = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+
+// Biggest unit first: we use the first unit that fits the difference
+const UNITS = [
+  ["year", 365 * 24 * 60 * 60 * 1000],
+  ["month", 30 * 24 * 60 * 60 * 1000],
+  ["week", 7 * 24 * 60 * 60 * 1000],
+  ["day", 24 * 60 * 60 * 1000],
+  ["hour", 60 * 60 * 1000],
+  ["minute", 60 * 1000],
+];
+
+// formatRelativeTime(Date.now() - 120000) → "2 minutes ago"
+export const formatRelativeTime = (timestamp, now = Date.now()) => {
+  const diff = timestamp - now;
+
+  for (const [unit, ms] of UNITS) {
+    if (Math.abs(diff) >= ms) {
+      return rtf.format(Math.round(diff / ms), unit);
+    }
+  }
+
+  return "just now";
+};
+
+// Full date + time, used for tooltips
+export const formatDateTime = (timestamp) =>
+  new Date(timestamp).toLocaleString();
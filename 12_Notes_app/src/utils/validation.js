@@ -0,0 +1,28 @@
+// ============================================
+// ✅ FORM VALIDATION
+// ============================================
+// One place for the rules, so the form, the counters and the error
+// messages can never disagree with each other.
+
+export const LIMITS = {
+  title: 80,
+  details: 1000,
+};
+
+// validateNote({ title: "", details: "..." }) → { title: "Title is required" }
+// An empty object means the note is valid
+export const validateNote = ({ title, details }) => {
+  const errors = {};
+
+  if (!title.trim()) {
+    errors.title = "Title is required.";
+  } else if (title.length > LIMITS.title) {
+    errors.title = `Title must be ${LIMITS.title} characters or fewer.`;
+  }
+
+  if (details.length > LIMITS.details) {
+    errors.details = `Details must be ${LIMITS.details} characters or fewer.`;
+  }
+
+  return errors;
+};
@@ -1,39 +1,203 @@
-import React from "react";
+import { useState } from "react";
+import EdgeCases from "./components/EdgeCases";
+import EncryptedDemo from "./components/EncryptedDemo";
+import IndexedDbDemo from "./components/IndexedDbDemo";
+import { createStorage } from "./utils/storage";
+
+// ============================================
+// 📦 localStorage Demo
+// ============================================
+// Every read and write goes through the storage module (utils/storage.js),
+// never through localStorage directly:
+//   - values are JSON-serialized for us (Dates and Maps included)
+//   - a corrupted value gives us a fallback instead of crashing the app
+//   - all keys live under the "local-storage-demo:" namespace
+//   - values are stored in PLAIN TEXT - only section 6 (EncryptedDemo)
+//     encrypts, and only what's saved through its encrypted store
+
+// Created ONCE, outside the component - not on every render
+const store = createStorage("local-storage-demo");
 
 const App = () => {
-  // 📝 Example 1: Store simple string
-  localStorage.setItem("username", "Satyapradip");
-  console.log("Stored username:", localStorage.getItem("username"));
-
-  // 📝 Example 2: Store object (convert to JSON string first!)
-  const user = {
-    username: "Satyapradip",
-    Age: "21",
+  // 📝 Example 1: a simple string
+  // The lazy initializer (a function) reads storage only on the first render
+  const [username, setUsername] = useState(() =>
+    store.get("username", "Satyapradip")
+  );
+
+  // 📝 Example 2: an object - no JSON.stringify / JSON.parse needed
+  const [user, setUser] = useState(() =>
+    store.get("user", { username: "Satyapradip", age: 21 })
+  );
+
+  // 📝 Example 3: types plain JSON can't store
+  const [typed, setTyped] = useState(() => store.get("typed", null));
+
+  // The keys saved in our namespace, refreshed after every write
+  const [keys, setKeys] = useState(() => store.keys());
+  const refreshKeys = () => setKeys(store.keys());
+
+  // WRITES happen in event handlers - only when something actually changes,
+  // instead of on every render
+  const changeUsername = (value) => {
+    setUsername(value);
+    store.set("username", value);
+    refreshKeys();
   };
-  localStorage.setItem("user", JSON.stringify(user)); // Convert object to string
 
-  // 📝 Example 3: Retrieve object (convert back from JSON)
-  const retrievedUser = JSON.parse(localStorage.getItem("user"));
-  console.log("Retrieved user:", retrievedUser);
+  const changeUser = (changes) => {
+    const next = { ...user, ...changes };
+    setUser(next);
+    store.set("user", next);
+    refreshKeys();
+  };
 
-  // 📝 Example 4: Remove item
-  // localStorage.removeItem("username");
+  const saveTypedValues = () => {
+    store.set("typed", {
+      savedAt: new Date(),
+      scores: new Map([
+        ["alice", 3],
+        ["bob", 5],
+      ]),
+    });
+    // Read it back, so the screen shows what storage REALLY returns
+    setTyped(store.get("typed", null));
+    refreshKeys();
+  };
 
-  // 📝 Example 5: Clear all
-  // localStorage.clear();
+  // 📝 Example 4: remove one item
+  const removeKey = (key) => {
+    store.remove(key);
+    refreshKeys();
+  };
+
+  // 📝 Example 5: clear - ONLY our namespace, other apps' data is untouched
+  const clearAll = () => {
+    store.clear();
+    refreshKeys();
+  };
 
   return (
-    <div style={{ padding: "20px", fontFamily: "Arial" }}>
-      <h1>localStorage Demo</h1>
-      <p>
-        <strong>Username:</strong> {localStorage.getItem("username")}
-      </p>
-      <p>
-        <strong>User Object:</strong> {JSON.stringify(retrievedUser)}
-      </p>
-      <p style={{ fontSize: "12px", color: "gray" }}>
-        Open DevTools → Application → Local Storage to see stored data!
-      </p>
+    <div className="max-w-3xl mx-auto p-6 flex flex-col gap-6 font-sans">
+      <header>
+        <h1 className="text-3xl font-bold">localStorage Demo</h1>
+        <p className="text-sm text-gray-500">
+          Open DevTools → Application → Local Storage to see stored data!
+        </p>
+        {!store.isPersistent && (
+          <p className="mt-2 p-2 rounded bg-amber-100 text-amber-900 text-sm">
+            ⚠️ localStorage is unavailable - values are kept in memory and will
+            be lost on refresh.
+          </p>
+        )}
+      </header>
+
+      {/* STRINGS & OBJECTS */}
+      <section className="border rounded-lg p-4">
+        <h2 className="text-xl font-bold">1. Strings and objects</h2>
+        <label className="mt-3 flex flex-col gap-1 text-sm">
+          Username (a string)
+          <input
+            value={username}
+            onChange={(e) => changeUsername(e.target.value)}
+            className="border rounded px-2 py-1"
+          />
+        </label>
+        <div className="mt-3 flex gap-3 text-sm">
+          <label className="flex flex-col gap-1 flex-1">
+            user.username
+            <input
+              value={user.username}
+              onChange={(e) => changeUser({ username: e.target.value })}
+              className="border rounded px-2 py-1"
+            />
+          </label>
+          <label className="flex flex-col gap-1 w-24">
+            user.age
+            <input
+              type="number"
+              value={user.age}
+              onChange={(e) => changeUser({ age: Number(e.target.value) })}
+              className="border rounded px-2 py-1"
+            />
+          </label>
+        </div>
+        <p className="mt-2 text-xs text-gray-500 font-mono">
+          {JSON.stringify(user)}
+        </p>
+      </section>
+
+      {/* DATES & MAPS */}
+      <section className="border rounded-lg p-4">
+        <h2 className="text-xl font-bold">2. Dates and Maps</h2>
+        <p className="text-sm text-gray-600">
+          Plain <code>JSON.stringify</code> turns a Date into a string and a Map
+          into <code>{"{}"}</code>. The storage module tags them so they come
+          back as the real thing.
+        </p>
+        <button
+          type="button"
+          onClick={saveTypedValues}
+          className="mt-3 bg-black text-white px-3 py-1 rounded cursor-pointer"
+        >
+          Save a Date and a Map
+        </button>
+        {typed && (
+          <ul className="mt-3 text-sm font-mono">
+            <li>
+              savedAt instanceof Date → {String(typed.savedAt instanceof Date)}{" "}
+              ({typed.savedAt.toLocaleString()})
+            </li>
+            <li>
+              scores instanceof Map → {String(typed.scores instanceof Map)} (
+              {typed.scores.size} entries, bob = {typed.scores.get("bob")})
+            </li>
+          </ul>
+        )}
+      </section>
+
+      {/* KEYS IN OUR NAMESPACE */}
+      <section className="border rounded-lg p-4">
+        <h2 className="text-xl font-bold">3. Keys in our namespace</h2>
+        <p className="text-sm text-gray-600">
+          Saved as <code>{store.namespace}:&lt;key&gt;</code>
+        </p>
+        {keys.length === 0 ? (
+          <p className="mt-3 text-sm text-gray-500">Nothing saved yet.</p>
+        ) : (
+          <ul className="mt-3 flex flex-col gap-1 text-sm">
+            {keys.map((key) => (
+              <li key={key} className="flex items-center justify-between">
+                <code>{key}</code>
+                <button
+                  type="button"
+                  onClick={() => removeKey(key)}
+                  className="text-red-600 cursor-pointer"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <button
+          type="button"
+          onClick={clearAll}
+          disabled={keys.length === 0}
+          className="mt-3 border px-3 py-1 rounded cursor-pointer disabled:opacity-30 disabled:cursor-default"
+        >
+          Clear this namespace
+        </button>
+      </section>
+
+      {/* WHEN THINGS GO WRONG */}
+      <EdgeCases store={store} onChange={refreshKeys} />
+
+      {/* BIGGER DATA */}
+      <IndexedDbDemo store={store} onChange={refreshKeys} />
+
+      {/* SENSITIVE DATA */}
+      <EncryptedDemo />
     </div>
   );
 };
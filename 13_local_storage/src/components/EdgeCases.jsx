@@ -0,0 +1,148 @@
+import { useState } from "react";
+import { createStorage } from "../utils/storage";
+
+// ============================================
+// 💥 EdgeCases - what happens when localStorage misbehaves
+// ============================================
+// Props:
+//   store    - the app's storage from createStorage()
+//   onChange - called after we write, so the app can refresh its key list
+
+// A fake localStorage where EVERY call throws - exactly how storage behaves
+// in some private-browsing modes or when the user blocks site data
+const blockedBackend = {
+  length: 0,
+  key: () => null,
+  getItem: () => {
+    throw new DOMException("The operation is insecure.", "SecurityError");
+  },
+  setItem: () => {
+    throw new DOMException("The operation is insecure.", "SecurityError");
+  },
+  removeItem: () => {},
+  clear: () => {},
+};
+
+// What a set() result means, in words
+const describeResult = (result) => {
+  if (result.ok) return "✅ Saved";
+  switch (result.reason) {
+    case "quota":
+      return "❌ Storage is full (QuotaExceededError) - nothing was saved";
+    case "unavailable":
+      return "❌ Storage is unavailable - nothing was saved";
+    default:
+      return "❌ This value can't be turned into JSON";
+  }
+};
+
+const EdgeCases = ({ store, onChange }) => {
+  const [quotaMessage, setQuotaMessage] = useState(null);
+  const [privateModeReport, setPrivateModeReport] = useState(null);
+  const [corruptedReport, setCorruptedReport] = useState(null);
+
+  // 1️⃣ QUOTA EXCEEDED
+  // Browsers allow roughly 5 MB per origin - 6 million characters is too much
+  const tryHugeValue = () => {
+    const result = store.set("huge", "x".repeat(6 * 1024 * 1024));
+    // Some browsers allow more - don't leave 6 MB behind if it worked
+    if (result.ok) store.remove("huge");
+    setQuotaMessage(describeResult(result));
+  };
+
+  // 2️⃣ PRIVATE MODE / BLOCKED STORAGE
+  const tryBlockedStorage = () => {
+    const blocked = createStorage("private-demo", { backend: blockedBackend });
+    const result = blocked.set("greeting", "hello");
+    setPrivateModeReport({
+      isPersistent: blocked.isPersistent,
+      saved: describeResult(result),
+      readBack: blocked.get("greeting", "(nothing)"),
+      // A NEW store is like a page refresh - the memory copy is gone
+      afterRefresh: createStorage("private-demo", {
+        backend: blockedBackend,
+      }).get("greeting", "(nothing)"),
+    });
+  };
+
+  // 3️⃣ CORRUPTED ENTRY
+  // Write broken JSON straight into localStorage on purpose -
+  // like an old app version or a user editing it in DevTools
+  const corruptEntry = () => {
+    const raw = "{ oops, this is not JSON";
+    try {
+      localStorage.setItem(`${store.namespace}:broken`, raw);
+    } catch {
+      // Storage is unavailable - the read below still shows the fallback
+    }
+    setCorruptedReport({
+      raw,
+      value: store.get("broken", "(fallback value)"),
+    });
+    onChange();
+  };
+
+  return (
+    <section className="border rounded-lg p-4">
+      <h2 className="text-xl font-bold">4. When things go wrong</h2>
+
+      <div className="mt-3">
+        <h3 className="font-bold">Quota exceeded</h3>
+        <button
+          type="button"
+          onClick={tryHugeValue}
+          className="mt-1 border px-3 py-1 rounded cursor-pointer"
+        >
+          Try to save 6 MB
+        </button>
+        {quotaMessage && <p className="mt-1 text-sm">{quotaMessage}</p>}
+      </div>
+
+      <div className="mt-4">
+        <h3 className="font-bold">Private mode / blocked storage</h3>
+        <button
+          type="button"
+          onClick={tryBlockedStorage}
+          className="mt-1 border px-3 py-1 rounded cursor-pointer"
+        >
+          Use a storage that always throws
+        </button>
+        {privateModeReport && (
+          <ul className="mt-1 text-sm">
+            <li>
+              isPersistent → {String(privateModeReport.isPersistent)} (fell back
+              to memory)
+            </li>
+            <li>set("greeting") → {privateModeReport.saved}</li>
+            <li>get("greeting") → {privateModeReport.readBack}</li>
+            <li>after a "refresh" → {privateModeReport.afterRefresh}</li>
+          </ul>
+        )}
+      </div>
+
+      <div className="mt-4">
+        <h3 className="font-bold">Corrupted entry</h3>
+        <button
+          type="button"
+          onClick={corruptEntry}
+          className="mt-1 border px-3 py-1 rounded cursor-pointer"
+        >
+          Corrupt the "broken" key
+        </button>
+        {corruptedReport && (
+          <ul className="mt-1 text-sm">
+            <li>
+              Raw text → <code>{corruptedReport.raw}</code>
+            </li>
+            <li>
+              get("broken") → {corruptedReport.value} (no crash - a warning is
+              logged to the console)
+            </li>
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default EdgeCases;
@@ -0,0 +1,192 @@
+import { useEffect, useState } from "react";
+import { createEncryptedStorage } from "../utils/encryptedStorage";
+import { createStorage } from "../utils/storage";
+
+// ============================================
+// 🔐 EncryptedDemo - a user profile that's encrypted at rest
+// ============================================
+// Opt-in: only what you save through `secure` is encrypted.
+// `vault` is the same namespace WITHOUT decryption - used to show what
+// actually ends up in localStorage.
+
+const vault = createStorage("local-storage-demo-secure");
+const secure = createEncryptedStorage(vault);
+
+const DEFAULT_PROFILE = { username: "Satyapradip", secretNote: "" };
+
+const EncryptedDemo = () => {
+  // Lock state lives in the wrapper - we just mirror it
+  const [unlocked, setUnlocked] = useState(secure.isUnlocked);
+  const [hasPassphrase, setHasPassphrase] = useState(secure.hasPassphrase);
+
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // The decrypted profile - only in memory, and only while unlocked
+  const [profile, setProfile] = useState(null);
+  // What localStorage really holds
+  const [ciphertext, setCiphertext] = useState(() =>
+    vault.get("profile", null)
+  );
+
+  useEffect(
+    () =>
+      secure.subscribe((isUnlocked) => {
+        setUnlocked(isUnlocked);
+        setHasPassphrase(secure.hasPassphrase());
+        // Locking forgets the decrypted data (and any save error) too
+        if (!isUnlocked) {
+          setProfile(null);
+          setError(null);
+        }
+      }),
+    []
+  );
+
+  const unlock = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      // Deriving the key takes a moment - that's PBKDF2 being slow on purpose
+      const result = await secure.unlock(passphrase);
+      if (!result.ok) {
+        setError("❌ Wrong passphrase - nothing was decrypted.");
+        return;
+      }
+      setPassphrase("");
+      setProfile(await secure.get("profile", DEFAULT_PROFILE));
+    } catch (err) {
+      // e.g. no Web Crypto (pages served over plain http)
+      setError(`❌ Could not unlock: ${err.message}`);
+    } finally {
+      // Otherwise the button would say "Deriving key…" forever
+      setBusy(false);
+    }
+  };
+
+  const changeProfile = async (changes) => {
+    const next = { ...profile, ...changes };
+    setProfile(next);
+    try {
+      const result = await secure.set("profile", next);
+      if (!result.ok) {
+        setError(`❌ Could not save (${result.reason})`);
+        return;
+      }
+      setError(null);
+      setCiphertext(vault.get("profile", null));
+    } catch (err) {
+      setError(`❌ Could not save: ${err.message}`);
+    }
+  };
+
+  const reset = () => {
+    if (!window.confirm("Delete the encrypted profile AND the passphrase?")) {
+      return;
+    }
+    secure.reset();
+    setCiphertext(null);
+    setError(null);
+  };
+
+  return (
+    <section className="border rounded-lg p-4">
+      <h2 className="text-xl font-bold">
+        6. Encrypted at rest {unlocked ? "🔓" : "🔒"}
+      </h2>
+      <p className="text-sm text-gray-600">
+        AES-GCM with a key derived from your passphrase (PBKDF2). The key only
+        lives in memory - refresh the page and it's locked again.
+      </p>
+
+      {unlocked ? (
+        <div className="mt-3 flex flex-col gap-2 text-sm">
+          <label className="flex flex-col gap-1">
+            Username
+            <input
+              value={profile?.username ?? ""}
+              onChange={(e) => changeProfile({ username: e.target.value })}
+              className="border rounded px-2 py-1"
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            Secret note
+            <textarea
+              value={profile?.secretNote ?? ""}
+              onChange={(e) => changeProfile({ secretNote: e.target.value })}
+              className="border rounded px-2 py-1"
+            />
+          </label>
+          {error && (
+            <p role="alert" className="text-red-600">
+              {error}
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={() => secure.lock()}
+            className="self-start bg-black text-white px-3 py-1 rounded cursor-pointer"
+          >
+            🔒 Lock
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={unlock} className="mt-3 flex flex-col gap-2 text-sm">
+          <label className="flex flex-col gap-1">
+            {hasPassphrase ? "Passphrase" : "Choose a passphrase"}
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => {
+                setPassphrase(e.target.value);
+                setError(null);
+              }}
+              aria-invalid={error ? "true" : "false"}
+              aria-describedby="unlock-error"
+              autoComplete={hasPassphrase ? "current-password" : "new-password"}
+              className="border rounded px-2 py-1"
+            />
+          </label>
+          <p id="unlock-error" className="text-red-600">
+            {error}
+          </p>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={!passphrase || busy}
+              className="bg-black text-white px-3 py-1 rounded cursor-pointer disabled:opacity-30 disabled:cursor-default"
+            >
+              {busy
+                ? "Deriving key…"
+                : hasPassphrase
+                  ? "🔓 Unlock"
+                  : "Create passphrase"}
+            </button>
+            {hasPassphrase && (
+              <button
+                type="button"
+                onClick={reset}
+                className="border px-3 py-1 rounded cursor-pointer"
+              >
+                Forgot it? Delete the encrypted data
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      <div className="mt-3">
+        <p className="text-xs text-gray-500">
+          What localStorage sees under <code>{vault.namespace}:profile</code>:
+        </p>
+        <code className="block mt-1 p-2 rounded bg-gray-100 text-xs break-all">
+          {ciphertext ? JSON.stringify(ciphertext) : "(nothing saved yet)"}
+        </code>
+      </div>
+    </section>
+  );
+};
+
+export default EncryptedDemo;
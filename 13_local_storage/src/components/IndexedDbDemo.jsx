@@ -0,0 +1,248 @@
+import { useEffect, useState } from "react";
+import {
+  createIndexedDbStorage,
+  migrateFromLocalStorage,
+} from "../utils/indexedDbStorage";
+
+// ============================================
+// 🗄️ IndexedDbDemo - when localStorage isn't enough
+// ============================================
+// Props:
+//   store    - the app's localStorage store (the migration source)
+//   onChange - called after the migration, so the app can refresh its key list
+
+// One IndexedDB store per kind of data, so each can be cleared on its own
+const records = createIndexedDbStorage("local-storage-demo-records");
+const images = createIndexedDbStorage("local-storage-demo-images");
+
+const RECORD_COUNT = 500;
+
+const IndexedDbDemo = ({ store, onChange }) => {
+  // ---------- records ----------
+  const [recordCount, setRecordCount] = useState(0);
+  const [recordReport, setRecordReport] = useState(null);
+
+  useEffect(() => {
+    records.keys().then((keys) => setRecordCount(keys.length));
+  }, []);
+
+  const saveRecords = async () => {
+    const start = performance.now();
+    const result = await records.setMany(
+      Array.from({ length: RECORD_COUNT }, (_, i) => [
+        `record-${i}`,
+        // Dates and Maps are stored as-is - no JSON tricks needed
+        {
+          id: i,
+          title: `Record #${i}`,
+          createdAt: new Date(),
+          meta: new Map([["index", i]]),
+        },
+      ])
+    );
+    const ms = Math.round(performance.now() - start);
+
+    const sample = await records.get("record-123", null);
+    setRecordCount((await records.keys()).length);
+    setRecordReport(
+      result.ok
+        ? `✅ Saved ${RECORD_COUNT} records in ${ms} ms. record-123 → "${
+            sample?.title
+          }", createdAt is a Date: ${sample?.createdAt instanceof Date}`
+        : `❌ Could not save (${result.reason})`
+    );
+  };
+
+  const clearRecords = async () => {
+    await records.clear();
+    setRecordCount(0);
+    setRecordReport(null);
+  };
+
+  // ---------- images (binary Blobs) ----------
+  // [{ key, name, size, url }] - url is an object URL for <img src>
+  const [savedImages, setSavedImages] = useState([]);
+  const [imageError, setImageError] = useState(null);
+  // Bumped after every change, so the effect below loads the list again
+  const [imagesVersion, setImagesVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const urls = [];
+
+    const load = async () => {
+      const keys = await images.keys();
+      const files = await Promise.all(keys.map((key) => images.get(key)));
+      if (cancelled) return;
+
+      setSavedImages(
+        keys
+          .map((key, i) => ({ key, file: files[i] }))
+          .filter(({ file }) => file)
+          .map(({ key, file }) => {
+            // An object URL points the <img> at the Blob in memory
+            const url = URL.createObjectURL(file);
+            urls.push(url);
+            return { key, name: file.name, size: file.size, url };
+          })
+      );
+    };
+    load();
+
+    // Object URLs keep their Blob alive until revoked - free them
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [imagesVersion]);
+
+  const saveImages = async (files) => {
+    setImageError(null);
+    for (const file of files) {
+      // A File IS a Blob - IndexedDB stores the raw bytes directly.
+      // (localStorage would need a base64 string ~33% bigger than the file)
+      const result = await images.set(`${Date.now()}-${file.name}`, file);
+      if (!result.ok) {
+        setImageError(`❌ Could not save ${file.name} (${result.reason})`);
+        break;
+      }
+    }
+    setImagesVersion((v) => v + 1);
+  };
+
+  const removeImage = async (key) => {
+    await images.remove(key);
+    setImagesVersion((v) => v + 1);
+  };
+
+  // ---------- migration ----------
+  const [migrationReport, setMigrationReport] = useState(null);
+
+  const migrate = async () => {
+    // Same namespace as the localStorage store - only the storage changes.
+    // removeAfter: false - sections 1-3 still read these keys from
+    // localStorage, so the demo COPIES them instead of moving them
+    const target = createIndexedDbStorage(store.namespace);
+    const report = await migrateFromLocalStorage(store, target, {
+      removeAfter: false,
+    });
+    setMigrationReport({ ...report, keysInIndexedDb: await target.keys() });
+    onChange();
+  };
+
+  return (
+    <section className="border rounded-lg p-4">
+      <h2 className="text-xl font-bold">5. IndexedDB for bigger data</h2>
+      <p className="text-sm text-gray-600">
+        Same <code>get / set / remove</code> methods, but async - and it stores
+        objects, Dates, Maps and binary files without converting them to text.
+      </p>
+
+      {/* MANY RECORDS */}
+      <div className="mt-4">
+        <h3 className="font-bold">
+          {RECORD_COUNT} records ({recordCount} saved now)
+        </h3>
+        <div className="mt-1 flex gap-2">
+          <button
+            type="button"
+            onClick={saveRecords}
+            className="bg-black text-white px-3 py-1 rounded cursor-pointer"
+          >
+            Save {RECORD_COUNT} records
+          </button>
+          <button
+            type="button"
+            onClick={clearRecords}
+            disabled={recordCount === 0}
+            className="border px-3 py-1 rounded cursor-pointer disabled:opacity-30 disabled:cursor-default"
+          >
+            Delete them
+          </button>
+        </div>
+        {recordReport && <p className="mt-1 text-sm">{recordReport}</p>}
+      </div>
+
+      {/* IMAGES */}
+      <div className="mt-4">
+        <h3 className="font-bold">Images (binary Blobs)</h3>
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={(e) => {
+            const files = [...e.target.files];
+            // Reset so picking the same file again still fires onChange
+            e.target.value = "";
+            saveImages(files);
+          }}
+          className="mt-1 text-sm"
+        />
+        {imageError && (
+          <p className="mt-1 text-sm text-red-600">{imageError}</p>
+        )}
+        {savedImages.length > 0 && (
+          <ul className="mt-2 grid grid-cols-3 gap-2">
+            {savedImages.map((image) => (
+              <li key={image.key} className="text-xs">
+                <img
+                  src={image.url}
+                  alt={image.name}
+                  className="w-full h-24 object-cover rounded"
+                />
+                <p className="truncate">{image.name}</p>
+                <p className="text-gray-500">
+                  {(image.size / 1024).toFixed(1)} KB ·{" "}
+                  <button
+                    type="button"
+                    onClick={() => removeImage(image.key)}
+                    className="text-red-600 cursor-pointer"
+                  >
+                    Remove
+                  </button>
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="mt-1 text-xs text-gray-500">
+          Refresh the page - the images are still here.
+        </p>
+      </div>
+
+      {/* MIGRATION */}
+      <div className="mt-4">
+        <h3 className="font-bold">Copy localStorage keys into IndexedDB</h3>
+        <button
+          type="button"
+          onClick={migrate}
+          className="mt-1 border px-3 py-1 rounded cursor-pointer"
+        >
+          Migrate "{store.namespace}:*"
+        </button>
+        {migrationReport && (
+          <ul className="mt-1 text-sm">
+            <li>✅ Copied: {migrationReport.moved.join(", ") || "nothing"}</li>
+            {migrationReport.skipped.length > 0 && (
+              <li>
+                ⚠️ Skipped (corrupted): {migrationReport.skipped.join(", ")}
+              </li>
+            )}
+            {migrationReport.failed.length > 0 && (
+              <li>
+                ❌ Failed (kept in localStorage):{" "}
+                {migrationReport.failed.join(", ")}
+              </li>
+            )}
+            <li>
+              Now in IndexedDB:{" "}
+              {migrationReport.keysInIndexedDb.join(", ") || "nothing"}
+            </li>
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default IndexedDbDemo;
@@ -0,0 +1,195 @@
+import { deserialize, serialize } from "./storage";
+
+// ============================================
+// 🔐 ENCRYPTED STORAGE - values nobody can read without the passphrase
+// ============================================
+// Anything in localStorage is plain text: any script on the page (or anyone
+// with DevTools) can read it. This wrapper encrypts each value BEFORE it's
+// saved, using the browser's built-in Web Crypto API:
+//
+//   passphrase + salt ──PBKDF2──▶ AES key ──AES-GCM──▶ { iv, data }
+//
+// - PBKDF2 turns a human passphrase into a 256-bit key. It's slow ON
+//   PURPOSE (hundreds of thousands of rounds) so guessing is slow too
+// - AES-GCM encrypts AND detects tampering: decrypting with the wrong key
+//   or changed data throws instead of returning garbage
+//
+// The key only ever lives in memory. lock() forgets it; after a refresh
+// the storage starts locked again.
+//
+//   const secure = createEncryptedStorage(createStorage("my-app-secure"));
+//   await secure.unlock("correct horse battery staple"); // → { ok: true }
+//   await secure.set("user", { name: "Ada" });
+//   await secure.get("user", null); // → { name: "Ada" }
+//   secure.lock();
+
+const PBKDF2_ITERATIONS = 250000;
+
+// Internal keys, saved next to the encrypted values
+const SALT_KEY = "__salt__";
+const CHECK_KEY = "__check__";
+// Encrypted on first unlock - decrypting it later tells us whether a
+// passphrase is right, before we touch any real data
+const CHECK_TEXT = "passphrase-check";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Encrypted bytes → text that fits in localStorage, and back
+const toBase64 = (bytes) => {
+  let binary = "";
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary);
+};
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false, // the key can't be exported - not even by our own code
+    ["encrypt", "decrypt"]
+  );
+};
+
+// The storage key goes in as "additional data": a value copied onto a
+// DIFFERENT key fails to decrypt, so entries can't be swapped around
+const encrypt = async (cryptoKey, key, text) => {
+  // A fresh random IV for every write - never reuse one with the same key
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: encoder.encode(key) },
+    cryptoKey,
+    encoder.encode(text)
+  );
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+};
+
+// Throws if the key is wrong or the data was changed
+const decrypt = async (cryptoKey, key, { iv, data }) => {
+  const plain = await crypto.subtle.decrypt(
+    {
+      name: "AES-GCM",
+      iv: fromBase64(iv),
+      additionalData: encoder.encode(key),
+    },
+    cryptoKey,
+    fromBase64(data)
+  );
+  return decoder.decode(plain);
+};
+
+// ============================================
+// 🏭 createEncryptedStorage(store)
+// ============================================
+// store - a createStorage() store. Use a namespace of its own, because
+//         reset() clears the WHOLE namespace
+//
+// Returns:
+//   unlock(passphrase) → { ok: true, created } or
+//                        { ok: false, reason: "wrong-passphrase" }
+//                        (created = true when this set a NEW passphrase)
+//   lock()
+//   isUnlocked()       → true / false
+//   hasPassphrase()    → false until the first unlock()
+//   subscribe(cb)      → cb(isUnlocked) on every lock / unlock, returns unsubscribe
+//   get(key, fallback) → decrypted value, or fallback if missing / locked
+//   set(key, value)    → { ok: true } or { ok: false, reason }
+//                        reason: "locked" or the wrapped store's reasons
+//   remove(key), keys()
+//   reset()            → deletes everything, including the passphrase check
+
+export const createEncryptedStorage = (store) => {
+  let cryptoKey = null; // null = locked
+  const listeners = new Set();
+  const notify = () => listeners.forEach((callback) => callback(!!cryptoKey));
+
+  const hasPassphrase = () => store.get(CHECK_KEY, null) !== null;
+
+  const unlock = async (passphrase) => {
+    const created = !hasPassphrase();
+    const salt = created
+      ? crypto.getRandomValues(new Uint8Array(16))
+      : fromBase64(store.get(SALT_KEY, ""));
+    const key = await deriveKey(passphrase, salt);
+
+    if (created) {
+      store.set(SALT_KEY, toBase64(salt));
+      store.set(CHECK_KEY, await encrypt(key, CHECK_KEY, CHECK_TEXT));
+    } else {
+      try {
+        await decrypt(key, CHECK_KEY, store.get(CHECK_KEY, null));
+      } catch {
+        return { ok: false, reason: "wrong-passphrase" };
+      }
+    }
+
+    cryptoKey = key;
+    notify();
+    return { ok: true, created };
+  };
+
+  const lock = () => {
+    cryptoKey = null;
+    notify();
+  };
+
+  const get = async (key, fallback = null) => {
+    if (!cryptoKey) return fallback;
+    const encrypted = store.get(key, null);
+    if (encrypted === null) return fallback;
+    try {
+      return deserialize(await decrypt(cryptoKey, key, encrypted));
+    } catch (error) {
+      console.warn(`Could not decrypt "${key}":`, error);
+      return fallback;
+    }
+  };
+
+  // Writes run one after another: encrypting is async, and two quick
+  // writes must not finish in the wrong order
+  let writes = Promise.resolve();
+  const set = (key, value) => {
+    const write = async () => {
+      if (!cryptoKey) return { ok: false, reason: "locked" };
+      return store.set(key, await encrypt(cryptoKey, key, serialize(value)));
+    };
+    writes = writes.then(write, write);
+    return writes;
+  };
+
+  const keys = () =>
+    store.keys().filter((key) => key !== SALT_KEY && key !== CHECK_KEY);
+
+  const reset = () => {
+    store.clear();
+    lock();
+  };
+
+  const subscribe = (callback) => {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  };
+
+  return {
+    unlock,
+    lock,
+    isUnlocked: () => !!cryptoKey,
+    hasPassphrase,
+    subscribe,
+    get,
+    set,
+    remove: store.remove,
+    keys,
+    reset,
+  };
+};
@@ -0,0 +1,252 @@
+// ============================================
+// 🗄️ INDEXEDDB STORAGE - the same API, for bigger data
+// ============================================
+// localStorage is small (~5 MB), stores only strings, and BLOCKS the page
+// while it reads or writes. IndexedDB is the browser's real database:
+//   - hundreds of MB (the browser decides, based on free disk space)
+//   - stores almost anything as-is: objects, Dates, Maps, Blobs, Files...
+//   - asynchronous - every method here returns a Promise
+//
+// createIndexedDbStorage() has the same methods as createStorage(), just async:
+//
+//   const store = createIndexedDbStorage("my-app");
+//   await store.set("photo", file);        // a File from <input type="file">
+//   await store.get("photo", null);        // → the same File back
+//
+// Keys are namespaced the same way ("my-app:photo"), and all namespaces
+// share one database and one object store.
+
+const DB_NAME = "local-storage-demo";
+const DB_VERSION = 1;
+const STORE_NAME = "entries";
+
+// ============================================
+// 🔌 OPENING THE DATABASE
+// ============================================
+// Opening is slow-ish, so every store shares one connection per database
+
+const connections = new Map(); // dbName → Promise<IDBDatabase>
+
+const openDatabase = (dbName) => {
+  if (connections.has(dbName)) return connections.get(dbName);
+
+  const promise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not supported in this browser"));
+      return;
+    }
+
+    const request = indexedDB.open(dbName, DB_VERSION);
+
+    // Runs the first time (and whenever DB_VERSION goes up):
+    // the only place where object stores can be created
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // No keyPath - we pass the key separately to put()
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab wants to upgrade the database - let it
+      db.onversionchange = () => {
+        db.close();
+        connections.delete(dbName);
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => reject(request.error);
+  });
+
+  // A failed open shouldn't be cached forever - allow a retry later
+  promise.catch(() => connections.delete(dbName));
+  connections.set(dbName, promise);
+  return promise;
+};
+
+// Run ONE transaction. Resolves with the last request's result once the
+// transaction has COMMITTED - errors like "disk full" only show up then.
+// All or nothing: if work() throws halfway (put() throws a DataCloneError
+// right away for a function), the requests it already made are rolled back
+const runTransaction = async (dbName, mode, work) => {
+  const db = await openDatabase(dbName);
+  return new Promise((resolve, reject) => {
+    let tx;
+    let request;
+    try {
+      tx = db.transaction(STORE_NAME, mode);
+      request = work(tx.objectStore(STORE_NAME));
+    } catch (error) {
+      if (tx) {
+        tx.onabort = null; // we reject with the real error below
+        try {
+          tx.abort();
+        } catch {
+          // Already finished - nothing to roll back
+        }
+      }
+      reject(error);
+      return;
+    }
+    tx.oncomplete = () => resolve(request?.result);
+    // A failed request aborts the transaction - reject with its error
+    tx.onerror = (event) => reject(event.target.error ?? tx.error);
+    tx.onabort = () => reject(tx.error ?? request?.error);
+  });
+};
+
+// Same reasons as the localStorage module's set() results
+const toReason = (error) => {
+  if (error?.name === "QuotaExceededError") return "quota";
+  // Functions, DOM nodes, ... can't be stored
+  if (error?.name === "DataCloneError") return "unserializable";
+  return "unavailable";
+};
+
+// ============================================
+// 🏭 createIndexedDbStorage(namespace, options)
+// ============================================
+// options.dbName - which database to use (default "local-storage-demo")
+//
+// Returns (every method is async):
+//   get(key, fallback)  → saved value, or fallback if missing / unavailable
+//   set(key, value)     → { ok: true } or { ok: false, reason, error }
+//   setMany(entries)    → like set(), for [[key, value], ...] in ONE transaction
+//   remove(key)
+//   keys()              → this namespace's keys, without the prefix
+//   clear()             → removes ONLY this namespace's keys
+//   isAvailable()       → false if IndexedDB can't be opened
+
+export const createIndexedDbStorage = (
+  namespace,
+  { dbName = DB_NAME } = {}
+) => {
+  const prefix = `${namespace}:`;
+  const fullKey = (key) => prefix + key;
+
+  // Every key that starts with the prefix: "\uffff" sorts after any
+  // character a key could realistically contain
+  const namespaceRange = () => IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+
+  const get = async (key, fallback = null) => {
+    try {
+      const value = await runTransaction(dbName, "readonly", (store) =>
+        store.get(fullKey(key))
+      );
+      return value === undefined ? fallback : value;
+    } catch (error) {
+      console.warn(`Could not read "${fullKey(key)}" from IndexedDB:`, error);
+      return fallback;
+    }
+  };
+
+  const setMany = async (entries) => {
+    try {
+      await runTransaction(dbName, "readwrite", (store) => {
+        let request;
+        entries.forEach(([key, value]) => {
+          request = store.put(value, fullKey(key));
+        });
+        return request;
+      });
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, reason: toReason(error), error };
+    }
+  };
+
+  const set = (key, value) => setMany([[key, value]]);
+
+  const remove = async (key) => {
+    try {
+      await runTransaction(dbName, "readwrite", (store) =>
+        store.delete(fullKey(key))
+      );
+    } catch {
+      // Nothing to remove if IndexedDB is unusable
+    }
+  };
+
+  const keys = async () => {
+    try {
+      const fullKeys = await runTransaction(dbName, "readonly", (store) =>
+        store.getAllKeys(namespaceRange())
+      );
+      return fullKeys.map((key) => key.slice(prefix.length));
+    } catch {
+      return [];
+    }
+  };
+
+  // delete() accepts a key RANGE - one request removes the whole namespace
+  const clear = async () => {
+    try {
+      await runTransaction(dbName, "readwrite", (store) =>
+        store.delete(namespaceRange())
+      );
+    } catch {
+      // Nothing to clear if IndexedDB is unusable
+    }
+  };
+
+  const isAvailable = () =>
+    openDatabase(dbName).then(
+      () => true,
+      () => false
+    );
+
+  return {
+    namespace,
+    get,
+    set,
+    setMany,
+    remove,
+    keys,
+    clear,
+    isAvailable,
+  };
+};
+
+// ============================================
+// 🚚 MIGRATION - localStorage → IndexedDB
+// ============================================
+// Copies every key of a createStorage() store into an IndexedDB store.
+// Values are read with the localStorage module, so Dates and Maps arrive
+// as real Dates and Maps. Corrupted entries are skipped, not copied.
+//
+// options.removeAfter - delete each key from localStorage once it's copied
+//
+// Returns { moved: [...keys], skipped: [...keys], failed: [...keys] }
+
+const MISSING = Symbol("missing");
+
+export const migrateFromLocalStorage = async (
+  from,
+  to,
+  { removeAfter = true } = {}
+) => {
+  const report = { moved: [], skipped: [], failed: [] };
+
+  for (const key of from.keys()) {
+    const value = from.get(key, MISSING);
+    if (value === MISSING) {
+      report.skipped.push(key);
+      continue;
+    }
+
+    const result = await to.set(key, value);
+    if (!result.ok) {
+      // Keep the localStorage copy - nothing is lost
+      report.failed.push(key);
+      continue;
+    }
+
+    if (removeAfter) from.remove(key);
+    report.moved.push(key);
+  }
+
+  return report;
+};
@@ -0,0 +1,199 @@
+// ============================================
+// 📦 STORAGE - a safe, typed wrapper around localStorage
+// ============================================
+// Raw localStorage has three sharp edges:
+//   1. It only stores strings - Dates come back as strings, Maps as "{}"
+//   2. JSON.parse THROWS if a saved value is corrupted
+//   3. setItem THROWS when storage is full or blocked (private mode)
+//
+// createStorage() hides all three behind get / set / remove / keys:
+//
+//   const store = createStorage("my-app");
+//   store.set("user", { name: "Ada", joined: new Date() });
+//   store.get("user", null); // → { name: "Ada", joined: Date }
+//
+// Every key is NAMESPACED - "user" is saved as "my-app:user" - so two
+// apps (or two demos) on the same origin never overwrite each other.
+
+// ============================================
+// 🔤 SERIALIZATION - JSON that understands Date and Map
+// ============================================
+// JSON has no Date or Map, so we save them as tagged objects:
+//   new Date(0)          → { "$type": "Date", "value": "1970-01-01T00:00:00.000Z" }
+//   new Map([["a", 1]])  → { "$type": "Map", "value": [["a", 1]] }
+// and turn the tags back into real objects when reading.
+
+const TYPE_TAG = "$type";
+
+// The replacer runs BEFORE Date.toJSON() would turn a Date into a string,
+// as long as we look at this[key] (the original) instead of value
+function replacer(key, value) {
+  const original = this[key];
+  if (original instanceof Date) {
+    return { [TYPE_TAG]: "Date", value: original.toISOString() };
+  }
+  if (original instanceof Map) {
+    return { [TYPE_TAG]: "Map", value: [...original.entries()] };
+  }
+  return value;
+}
+
+const reviver = (key, value) => {
+  if (value && typeof value === "object" && TYPE_TAG in value) {
+    if (value[TYPE_TAG] === "Date") return new Date(value.value);
+    if (value[TYPE_TAG] === "Map") return new Map(value.value);
+  }
+  return value;
+};
+
+export const serialize = (value) => JSON.stringify(value, replacer);
+
+// Throws a SyntaxError on corrupted text - callers decide what to do
+export const deserialize = (text) => JSON.parse(text, reviver);
+
+// ============================================
+// 🧠 IN-MEMORY FALLBACK
+// ============================================
+// Same methods as localStorage, but the data lives in a Map and is gone
+// after a refresh. Used when the real localStorage can't be used.
+
+export const createMemoryStorage = () => {
+  const data = new Map();
+  return {
+    get length() {
+      return data.size;
+    },
+    key: (index) => [...data.keys()][index] ?? null,
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    clear: () => data.clear(),
+  };
+};
+
+// ============================================
+// 🔍 AVAILABILITY CHECKS
+// ============================================
+
+// Even READING window.localStorage can throw (e.g. when the user blocks
+// cookies), so it's wrapped in try/catch too
+const getLocalStorage = () => {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+};
+
+// The only reliable test: actually write and remove something.
+// Older Safari private mode has a localStorage whose setItem always throws
+export const isStorageAvailable = (backend) => {
+  if (!backend) return false;
+  const testKey = "__storage_test__";
+  try {
+    backend.setItem(testKey, testKey);
+    backend.removeItem(testKey);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Browsers name the "storage is full" error differently
+const isQuotaError = (error) =>
+  error instanceof DOMException &&
+  (error.name === "QuotaExceededError" || // Chrome, Safari, Edge
+    error.name === "NS_ERROR_DOM_QUOTA_REACHED" || // old Firefox
+    error.code === 22 ||
+    error.code === 1014);
+
+// ============================================
+// 🏭 createStorage(namespace, options)
+// ============================================
+// options.backend - any object with localStorage's methods
+//                   (defaults to window.localStorage; the demo passes a
+//                   broken one to simulate private mode)
+//
+// Returns:
+//   get(key, fallback)  → saved value, or fallback if missing / corrupted
+//   set(key, value)     → { ok: true } or { ok: false, reason, error }
+//                         reason: "quota" | "unavailable" | "unserializable"
+//   remove(key)
+//   keys()              → this namespace's keys, without the prefix
+//   clear()             → removes ONLY this namespace's keys
+//   isPersistent        → false when we fell back to memory
+
+export const createStorage = (namespace, { backend } = {}) => {
+  const preferred = backend ?? getLocalStorage();
+  const isPersistent = isStorageAvailable(preferred);
+  const store = isPersistent ? preferred : createMemoryStorage();
+
+  const prefix = `${namespace}:`;
+  const fullKey = (key) => prefix + key;
+
+  const get = (key, fallback = null) => {
+    let raw;
+    try {
+      raw = store.getItem(fullKey(key));
+    } catch {
+      return fallback;
+    }
+    if (raw === null) return fallback;
+
+    try {
+      return deserialize(raw);
+    } catch (error) {
+      // Leave the bad value where it is, so it can still be inspected
+      console.warn(`Ignoring corrupted value for "${fullKey(key)}":`, error);
+      return fallback;
+    }
+  };
+
+  const set = (key, value) => {
+    let text;
+    try {
+      text = serialize(value);
+    } catch (error) {
+      // e.g. a circular object or a BigInt
+      return { ok: false, reason: "unserializable", error };
+    }
+
+    try {
+      store.setItem(fullKey(key), text);
+      return { ok: true };
+    } catch (error) {
+      return {
+        ok: false,
+        reason: isQuotaError(error) ? "quota" : "unavailable",
+        error,
+      };
+    }
+  };
+
+  const remove = (key) => {
+    try {
+      store.removeItem(fullKey(key));
+    } catch {
+      // Nothing to remove if storage is unusable
+    }
+  };
+
+  const keys = () => {
+    const result = [];
+    try {
+      for (let i = 0; i < store.length; i++) {
+        const key = store.key(i);
+        if (key?.startsWith(prefix)) result.push(key.slice(prefix.length));
+      }
+    } catch {
+      // Unusable storage has no keys
+    }
+    return result;
+  };
+
+  // Collect the keys first - removing while looping over store.key(i)
+  // would shift the indexes and skip items
+  const clear = () => keys().forEach(remove);
+
+  return { namespace, isPersistent, get, set, remove, keys, clear };
+};
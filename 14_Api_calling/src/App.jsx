@@ -9,6 +9,9 @@ import SearchWithDebounce from "./components/SearchWithDebounce";
 import CreateData from "./components/CreateData";
 import ImageGallery from "./components/ImageGallery";
 import CustomHookExample from "./components/CustomHookExample";
+import ManagePosts from "./components/ManagePosts";
+import RequestLog from "./components/RequestLog";
+import MockControls from "./components/MockControls";
 
 const App = () => {
   const [activeTab, setActiveTab] = useState("all");
@@ -21,6 +24,7 @@ const App = () => {
     { id: "post", title: "5. POST Request", component: <CreateData /> },
     { id: "images", title: "6. Image Gallery", component: <ImageGallery /> },
     { id: "hook", title: "7. Custom Hook", component: <CustomHookExample /> },
+    { id: "crud", title: "8. Update & Delete", component: <ManagePosts /> },
   ];
 
   return (
@@ -48,7 +52,7 @@ const App = () => {
           🚀 Master API Calls in React
         </h1>
         <p style={{ color: "#6b7280", fontSize: "1.1rem", margin: "10px 0" }}>
-          Complete Guide with 7 Practical Examples
+          Complete Guide with 8 Practical Examples
         </p>
         <div style={{ marginTop: "20px", fontSize: "14px", color: "#6b7280" }}>
           <p>
@@ -56,6 +60,9 @@ const App = () => {
             <strong>QUICK_REFERENCE.md</strong>
           </p>
         </div>
+
+        {/* No internet? Switch to the mock backend */}
+        <MockControls />
       </header>
 
       {/* Navigation Tabs */}
@@ -108,6 +115,9 @@ const App = () => {
         ))}
       </div>
 
+      {/* Every request made through src/api/client.js */}
+      <RequestLog />
+
       {/* Content */}
       <div style={{ maxWidth: "1200px", margin: "0 auto" }}>
         {activeTab === "all" ? (
@@ -0,0 +1,165 @@
+import axios from "axios";
+import { isCancelled, toApiError } from "./errors";
+import { finishEntry, startEntry } from "./requestLog";
+import { jsonPlaceholderMock, picsumMock } from "./mock/mockAdapter";
+import { getMockSettings } from "./mock/mockSettings";
+import {
+  DEFAULT_RETRY,
+  getRetryDelay,
+  isIdempotent,
+  isRetryable,
+  waitForRetry,
+} from "./retry";
+
+// Shared API client
+// Instead of every component calling axios with a full URL:
+//
+//   axios.get("https://jsonplaceholder.typicode.com/users")
+//
+// they all use one configured instance and a short path:
+//
+//   api.get("/users")
+//
+// Changing the server, adding a header or logging every request now
+// happens in ONE place - this file.
+//
+// Configuration comes from Vite env variables (see .env.example). Only
+// variables starting with VITE_ are exposed to the browser code:
+//   VITE_API_BASE_URL    → base URL for api (JSONPlaceholder by default)
+//   VITE_PICSUM_BASE_URL → base URL for picsumApi
+//   VITE_API_TOKEN       → optional token sent as "Authorization: Bearer ..."
+//   VITE_USE_MOCK_API    → "true" to start in mock mode (see src/api/mock/)
+//
+// Every request can change the defaults for itself:
+//   api.get("/users", { timeout: 3000 })          → give up after 3 seconds
+//   api.get("/users", { retry: { retries: 5 } })  → see src/api/retry.js
+//   api.get("/users", { retry: false })           → never retry
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "https://jsonplaceholder.typicode.com";
+const PICSUM_BASE_URL =
+  import.meta.env.VITE_PICSUM_BASE_URL || "https://picsum.photos";
+const TIMEOUT = 10000; // ms - default, give up instead of waiting forever
+
+// Auth token
+// Kept in a variable (not in axios defaults) so it can change at runtime,
+// e.g. after login. The request interceptor reads it on every call.
+let authToken = import.meta.env.VITE_API_TOKEN || null;
+
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+export const getAuthToken = () => authToken;
+
+// Interceptors: functions axios runs for EVERY request / response
+//
+//   component → request interceptor → server → response interceptor → component
+//
+// - request:  add the auth header, pick live or mock, start the timer,
+//             log the call
+// - response: log status + duration, turn errors into ApiError classes,
+//             retry temporary failures
+const addInterceptors = (instance, { sendAuth, mockAdapter }) => {
+  instance.interceptors.request.use((config) => {
+    if (sendAuth && authToken) {
+      config.headers.Authorization = `Bearer ${authToken}`;
+    }
+
+    // Mock mode: answer from the fixtures instead of the network
+    const mocked = getMockSettings().enabled;
+    if (mocked) config.adapter = mockAdapter;
+
+    // Extra info for the response interceptor travels on the config
+    config.metadata = {
+      startedAt: performance.now(),
+      logId: startEntry({
+        method: (config.method || "get").toUpperCase(),
+        url: instance.getUri(config), // baseURL + url + ?params
+        mocked,
+        attempt: config.retryAttempt || 0,
+      }),
+    };
+    return config;
+  });
+
+  const elapsed = (config) =>
+    Math.round(performance.now() - config.metadata.startedAt);
+
+  instance.interceptors.response.use(
+    (response) => {
+      const { metadata } = response.config;
+      if (metadata) {
+        finishEntry(metadata.logId, {
+          state: "success",
+          status: response.status,
+          duration: elapsed(response.config),
+        });
+      }
+      return response;
+    },
+    (err) => {
+      const metadata = err.config?.metadata;
+
+      // Cancelled on purpose - log it, but pass it on untouched so
+      // callers can still recognize it with isCancelled()
+      if (isCancelled(err)) {
+        if (metadata) {
+          finishEntry(metadata.logId, {
+            state: "cancelled",
+            duration: elapsed(err.config),
+          });
+        }
+        return Promise.reject(err);
+      }
+
+      const error = toApiError(err);
+      if (metadata) {
+        finishEntry(metadata.logId, {
+          state: "error",
+          status: error.status,
+          duration: elapsed(err.config),
+          error: error.name,
+        });
+      }
+
+      // Retry temporary failures - but only for idempotent requests
+      const { config } = err;
+      const retry =
+        config && config.retry !== false
+          ? { ...DEFAULT_RETRY, ...config.retry }
+          : null;
+      const attempt = config?.retryAttempt || 0;
+      error.attempts = attempt + 1; // for the error UI: "failed 3 times"
+
+      if (
+        retry &&
+        attempt < retry.retries &&
+        isIdempotent(config.method) &&
+        isRetryable(error)
+      ) {
+        config.retryAttempt = attempt + 1;
+        // Send the same config again - through the interceptors, so the
+        // retry gets its own line in the request log
+        return waitForRetry(getRetryDelay(attempt, retry), config).then(() =>
+          instance(config)
+        );
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return instance;
+};
+
+// Our own backend (JSONPlaceholder here) - gets the auth header
+export const api = addInterceptors(
+  axios.create({ baseURL: API_BASE_URL, timeout: TIMEOUT }),
+  { sendAuth: true, mockAdapter: jsonPlaceholderMock }
+);
+
+// A third-party API - never send OUR token to someone else's server
+export const picsumApi = addInterceptors(
+  axios.create({ baseURL: PICSUM_BASE_URL, timeout: TIMEOUT }),
+  { sendAuth: false, mockAdapter: picsumMock }
+);
@@ -0,0 +1,116 @@
+import axios from "axios";
+
+// Typed API errors
+// Instead of a bare error.message string, every failed request becomes one
+// of these classes - so the UI can react differently to each kind:
+//
+//   if (error instanceof HttpError && error.status === 404) → "Not found"
+//   if (error instanceof NetworkError)                      → "You're offline?"
+
+// Base class - every API error has a message and (maybe) an HTTP status
+export class ApiError extends Error {
+  constructor(message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+// The server answered, but with a 4xx / 5xx status
+export class HttpError extends ApiError {
+  constructor(status, statusText, data, cause) {
+    const label = statusText ? `${status} ${statusText}` : status;
+    super(`Request failed with status ${label}`, { status, cause });
+    this.name = "HttpError";
+    this.statusText = statusText;
+    this.data = data; // the response body - often has more details
+  }
+}
+
+// The request never got an answer: offline, DNS failure, CORS, ...
+export class NetworkError extends ApiError {
+  constructor(cause) {
+    super("Network error - check your internet connection", { cause });
+    this.name = "NetworkError";
+  }
+}
+
+// The server took too long to answer
+export class TimeoutError extends ApiError {
+  constructor(cause) {
+    super("The request timed out", { cause });
+    this.name = "TimeoutError";
+  }
+}
+
+// Turn whatever axios threw into one of the classes above
+export const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+  if (err.response) {
+    const { status, statusText, data } = err.response;
+    return new HttpError(status, statusText, data, err);
+  }
+  if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+    return new TimeoutError(err);
+  }
+  if (err.request) return new NetworkError(err);
+  return new ApiError(err.message, { cause: err });
+};
+
+// Cancelled requests aren't real errors - we cancelled them on purpose
+export const isCancelled = (err) => axios.isCancel(err);
+
+// What went wrong, in words a user understands - and whether trying
+// again could help. The <ErrorMessage /> component shows this.
+//   kind: "network" | "timeout" | "client" (4xx) | "server" (5xx) | "unknown"
+export const describeError = (error) => {
+  if (error instanceof NetworkError) {
+    return {
+      kind: "network",
+      title: "📡 Can't reach the server",
+      hint: "Check your internet connection, then try again.",
+      canRetry: true,
+    };
+  }
+  if (error instanceof TimeoutError) {
+    return {
+      kind: "timeout",
+      title: "⏱️ The server took too long",
+      hint: "It might be busy - trying again often works.",
+      canRetry: true,
+    };
+  }
+  if (error instanceof HttpError && error.status >= 500) {
+    return {
+      kind: "server",
+      title: "🔥 Server error",
+      hint: "Something broke on the server's side. Try again in a moment.",
+      canRetry: true,
+    };
+  }
+  if (error instanceof HttpError) {
+    const hints = {
+      401: ["🔒 Not logged in", "Log in and try again."],
+      403: ["🔒 Not allowed", "You don't have access to this."],
+      404: ["🔍 Not found", "It doesn't exist (anymore)."],
+      408: ["⏱️ Request timed out", "Trying again often works."],
+      429: ["🚦 Too many requests", "Wait a few seconds, then try again."],
+    };
+    const [title, hint] = hints[error.status] || [
+      "⚠️ The request was rejected",
+      "Something about the request is wrong - trying again won't help.",
+    ];
+    return {
+      kind: "client",
+      title,
+      hint,
+      canRetry: error.status === 408 || error.status === 429,
+    };
+  }
+  return {
+    kind: "unknown",
+    title: "❌ Something went wrong",
+    hint: error?.message || "Unknown error",
+    canRetry: true,
+  };
+};
@@ -0,0 +1,284 @@
+// Mock data
+// The same shapes JSONPlaceholder and Picsum return, so the examples
+// can't tell the difference. Users are copied from JSONPlaceholder;
+// everything else is generated so this file stays small.
+
+import { placeholderImage } from "../../utils/placeholderImage";
+
+export const users = [
+  {
+    id: 1,
+    name: "Leanne Graham",
+    username: "Bret",
+    email: "Sincere@april.biz",
+    address: {
+      street: "Kulas Light",
+      suite: "Apt. 556",
+      city: "Gwenborough",
+      zipcode: "92998-3874",
+    },
+    phone: "1-770-736-8031 x56442",
+    website: "hildegard.org",
+    company: {
+      name: "Romaguera-Crona",
+      catchPhrase: "Multi-layered client-server neural-net",
+    },
+  },
+  {
+    id: 2,
+    name: "Ervin Howell",
+    username: "Antonette",
+    email: "Shanna@melissa.tv",
+    address: {
+      street: "Victor Plains",
+      suite: "Suite 879",
+      city: "Wisokyburgh",
+      zipcode: "90566-7771",
+    },
+    phone: "010-692-6593 x09125",
+    website: "anastasia.net",
+    company: {
+      name: "Deckow-Crist",
+      catchPhrase: "Proactive didactic contingency",
+    },
+  },
+  {
+    id: 3,
+    name: "Clementine Bauch",
+    username: "Samantha",
+    email: "Nathan@yesenia.net",
+    address: {
+      street: "Douglas Extension",
+      suite: "Suite 847",
+      city: "McKenziehaven",
+      zipcode: "59590-4157",
+    },
+    phone: "1-463-123-4447",
+    website: "ramiro.info",
+    company: {
+      name: "Romaguera-Jacobson",
+      catchPhrase: "Face to face bifurcated interface",
+    },
+  },
+  {
+    id: 4,
+    name: "Patricia Lebsack",
+    username: "Karianne",
+    email: "Julianne.OConner@kory.org",
+    address: {
+      street: "Hoeger Mall",
+      suite: "Apt. 692",
+      city: "South Elvis",
+      zipcode: "53919-4257",
+    },
+    phone: "493-170-9623 x156",
+    website: "kale.biz",
+    company: {
+      name: "Robel-Corkery",
+      catchPhrase: "Multi-tiered zero tolerance productivity",
+    },
+  },
+  {
+    id: 5,
+    name: "Chelsey Dietrich",
+    username: "Kamren",
+    email: "Lucio_Hettinger@annie.ca",
+    address: {
+      street: "Skiles Walks",
+      suite: "Suite 351",
+      city: "Roscoeview",
+      zipcode: "33263",
+    },
+    phone: "(254)954-1289",
+    website: "demarco.info",
+    company: {
+      name: "Keebler LLC",
+      catchPhrase: "User-centric fault-tolerant solution",
+    },
+  },
+  {
+    id: 6,
+    name: "Mrs. Dennis Schulist",
+    username: "Leopoldo_Corkery",
+    email: "Karley_Dach@jasper.info",
+    address: {
+      street: "Norberto Crossing",
+      suite: "Apt. 950",
+      city: "South Christy",
+      zipcode: "23505-1337",
+    },
+    phone: "1-477-935-8478 x6430",
+    website: "ola.org",
+    company: {
+      name: "Considine-Lockman",
+      catchPhrase: "Synchronised bottom-line interface",
+    },
+  },
+  {
+    id: 7,
+    name: "Kurtis Weissnat",
+    username: "Elwyn.Skiles",
+    email: "Telly.Hoeger@billy.biz",
+    address: {
+      street: "Rex Trail",
+      suite: "Suite 280",
+      city: "Howemouth",
+      zipcode: "58804-1099",
+    },
+    phone: "210.067.6132",
+    website: "elvis.io",
+    company: {
+      name: "Johns Group",
+      catchPhrase: "Configurable multimedia task-force",
+    },
+  },
+  {
+    id: 8,
+    name: "Nicholas Runolfsdottir V",
+    username: "Maxime_Nienow",
+    email: "Sherwood@rosamond.me",
+    address: {
+      street: "Ellsworth Summit",
+      suite: "Suite 729",
+      city: "Aliyaview",
+      zipcode: "45169",
+    },
+    phone: "586.493.6943 x140",
+    website: "jacynthe.com",
+    company: {
+      name: "Abernathy Group",
+      catchPhrase: "Implemented secondary concept",
+    },
+  },
+  {
+    id: 9,
+    name: "Glenna Reichert",
+    username: "Delphine",
+    email: "Chaim_McDermott@dana.io",
+    address: {
+      street: "Dayna Park",
+      suite: "Suite 449",
+      city: "Bartholomebury",
+      zipcode: "76495-3109",
+    },
+    phone: "(775)976-6794 x41206",
+    website: "conrad.com",
+    company: {
+      name: "Yost and Sons",
+      catchPhrase: "Switchable contextually-based project",
+    },
+  },
+  {
+    id: 10,
+    name: "Clementina DuBuque",
+    username: "Moriah.Stanton",
+    email: "Rey.Padberg@karina.biz",
+    address: {
+      street: "Kattie Turnpike",
+      suite: "Suite 198",
+      city: "Lebsackbury",
+      zipcode: "31428-2261",
+    },
+    phone: "024-648-3804",
+    website: "ambrose.net",
+    company: {
+      name: "Hoeger LLC",
+      catchPhrase: "Centralized empowering task-force",
+    },
+  },
+];
+
+// "Lorem ipsum" text that is the same on every page load
+const WORDS = (
+  "lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod " +
+  "tempor incididunt labore dolore magna aliqua enim minim veniam quis " +
+  "nostrud exercitation ullamco laboris nisi aliquip commodo consequat duis " +
+  "aute irure reprehenderit voluptate velit esse cillum fugiat nulla pariatur"
+).split(" ");
+
+const lorem = (seed, count) =>
+  Array.from(
+    { length: count },
+    (_, i) => WORDS[(seed * 7 + i * 13 + i * i) % WORDS.length]
+  ).join(" ");
+
+// 100 posts, 10 per user - like JSONPlaceholder
+export const posts = Array.from({ length: 100 }, (_, i) => ({
+  userId: Math.floor(i / 10) + 1,
+  id: i + 1,
+  title: lorem(i + 1, 4 + (i % 4)),
+  body: [lorem(i + 2, 12), lorem(i + 3, 10), lorem(i + 4, 11)].join("\n"),
+}));
+
+// 500 comments, 5 per post
+export const comments = Array.from({ length: 500 }, (_, i) => ({
+  postId: Math.floor(i / 5) + 1,
+  id: i + 1,
+  name: lorem(i + 5, 3 + (i % 3)),
+  email: `${WORDS[i % WORDS.length]}.${WORDS[(i * 3) % WORDS.length]}@example.com`,
+  body: [lorem(i + 6, 9), lorem(i + 7, 8)].join("\n"),
+}));
+
+// 200 todos, 20 per user
+export const todos = Array.from({ length: 200 }, (_, i) => ({
+  userId: Math.floor(i / 20) + 1,
+  id: i + 1,
+  title: lorem(i + 8, 3 + (i % 5)),
+  completed: (i * 7) % 3 !== 0,
+}));
+
+// 100 albums, 10 per user
+export const albums = Array.from({ length: 100 }, (_, i) => ({
+  userId: Math.floor(i / 10) + 1,
+  id: i + 1,
+  title: lorem(i + 9, 2 + (i % 4)),
+}));
+
+// JSONPlaceholder's /photos - 10 per album here (the real API has 50).
+// Its image host (via.placeholder.com) is gone, so like the Picsum
+// photos below, every image is a small SVG drawn right here
+export const albumPhotos = Array.from({ length: 1000 }, (_, i) => {
+  const fill = `#${((i + 1) * 0x9e3779).toString(16).slice(-6).padStart(6, "0")}`;
+  return {
+    albumId: Math.floor(i / 10) + 1,
+    id: i + 1,
+    title: lorem(i + 10, 4),
+    url: placeholderImage({
+      width: 600,
+      height: 600,
+      fill,
+      label: `#${i + 1}`,
+    }),
+    thumbnailUrl: placeholderImage({ width: 150, height: 150, fill }),
+  };
+});
+
+// Picsum's /v2/list items. The real images live on picsum.photos, so
+// download_url is a small SVG drawn right here - it works offline
+const AUTHORS = [
+  "Alejandro Escamilla",
+  "Paul Jarvis",
+  "Tina Rataj",
+  "Vadim Sherbakov",
+  "Yoni Kaplan",
+  "Jerry Adney",
+  "Go Wild",
+  "Ryan Mcguire",
+];
+
+export const photos = Array.from({ length: 40 }, (_, id) => {
+  const author = AUTHORS[id % AUTHORS.length];
+  return {
+    id: String(id),
+    author,
+    width: 5000,
+    height: 3333,
+    url: `https://unsplash.com/photos/mock-${id}`,
+    download_url: placeholderImage({
+      width: 600,
+      height: 400,
+      fill: `hsl(${(id * 47) % 360}, 60%, 55%)`,
+      label: `📷 #${id} · ${author}`,
+    }),
+  };
+});
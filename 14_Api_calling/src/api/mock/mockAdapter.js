@@ -0,0 +1,240 @@
+import axios, { AxiosError, CanceledError } from "axios";
+import {
+  albumPhotos,
+  albums,
+  comments,
+  photos,
+  posts,
+  todos,
+  users,
+} from "./fixtures";
+import { getMockSettings } from "./mockSettings";
+
+// Mock adapter
+// An axios "adapter" is the part that actually sends the request - in the
+// browser it uses XMLHttpRequest. Swap in this one and axios gets its
+// answers from the fixtures instead of the network:
+//
+//   component → interceptors → mockAdapter (no network!) → interceptors → component
+//
+// Everything else keeps working: interceptors, typed errors, the request
+// log, AbortController cancellation and timeouts.
+
+// ---------- a tiny fake server ----------
+
+// Filter a list the way JSONPlaceholder does:
+//   ?userId=1        → exact match
+//   ?name_like=lean  → case-insensitive "contains"
+//   ?_page=2&_limit=10, ?_start=20&_limit=10 → pagination
+const applyQuery = (items, query) => {
+  let result = items;
+  query.forEach((value, key) => {
+    if (key.startsWith("_")) return;
+    if (key.endsWith("_like")) {
+      const field = key.slice(0, -"_like".length);
+      const needle = value.toLowerCase();
+      result = result.filter((item) =>
+        String(item[field]).toLowerCase().includes(needle)
+      );
+    } else {
+      result = result.filter((item) => String(item[key]) === value);
+    }
+  });
+
+  const limit = Number(query.get("_limit")) || result.length;
+  const start = query.has("_page")
+    ? (Number(query.get("_page")) - 1) * limit
+    : Number(query.get("_start")) || 0;
+  return result.slice(start, start + limit);
+};
+
+const findById = (items, id) => {
+  const item = items.find((entry) => String(entry.id) === id);
+  return item ? { status: 200, data: item } : { status: 404, data: {} };
+};
+
+// 404 for an unknown id, otherwise { data: answer(item) }
+const withItem = (items, id, answer) => {
+  const { status, data } = findById(items, id);
+  return status === 404 ? { status, data } : { data: answer(data) };
+};
+
+// [method, path pattern, handler] - ":id" matches one path segment
+const jsonPlaceholderRoutes = [
+  ["get", "/users", ({ query }) => ({ data: applyQuery(users, query) })],
+  ["get", "/users/:id", ({ params }) => findById(users, params.id)],
+  ["get", "/posts", ({ query }) => ({ data: applyQuery(posts, query) })],
+  ["get", "/posts/:id", ({ params }) => findById(posts, params.id)],
+  // Like the real API: answers with the new post, but doesn't save it
+  [
+    "post",
+    "/posts",
+    ({ body }) => ({ status: 201, data: { ...body, id: posts.length + 1 } }),
+  ],
+  // PUT replaces, PATCH merges, DELETE answers {} - none of them save
+  [
+    "put",
+    "/posts/:id",
+    ({ params, body }) =>
+      withItem(posts, params.id, () => ({ ...body, id: Number(params.id) })),
+  ],
+  [
+    "patch",
+    "/posts/:id",
+    ({ params, body }) =>
+      withItem(posts, params.id, (post) => ({ ...post, ...body })),
+  ],
+  [
+    "delete",
+    "/posts/:id",
+    ({ params }) => withItem(posts, params.id, () => ({})),
+  ],
+  // Related data: ?userId=1, ?postId=1, ?albumId=1
+  ["get", "/comments", ({ query }) => ({ data: applyQuery(comments, query) })],
+  ["get", "/todos", ({ query }) => ({ data: applyQuery(todos, query) })],
+  ["get", "/albums", ({ query }) => ({ data: applyQuery(albums, query) })],
+  ["get", "/photos", ({ query }) => ({ data: applyQuery(albumPhotos, query) })],
+];
+
+const picsumRoutes = [
+  [
+    "get",
+    "/v2/list",
+    ({ query }) => {
+      const page = Number(query.get("page")) || 1;
+      const limit = Number(query.get("limit")) || 30;
+      return { data: photos.slice((page - 1) * limit, page * limit) };
+    },
+  ],
+];
+
+// "/posts/:id" → /^\/posts\/([^/]+)$/ plus the names ["id"]
+const compile = (pattern) => {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  return { regex: new RegExp(`^${source}/?$`), names };
+};
+
+const matchRoute = (routes, method, pathname) => {
+  for (const [routeMethod, pattern, handler] of routes) {
+    if (routeMethod !== method) continue;
+    const { regex, names } = compile(pattern);
+    const match = pathname.match(regex);
+    if (match) {
+      const params = {};
+      names.forEach(
+        (name, i) => (params[name] = decodeURIComponent(match[i + 1]))
+      );
+      return { handler, params };
+    }
+  }
+  return null;
+};
+
+// ---------- the adapter ----------
+
+const STATUS_TEXT = {
+  200: "OK",
+  201: "Created",
+  404: "Not Found",
+  500: "Internal Server Error",
+};
+
+// Resolves after `ms`, or rejects as soon as the request is aborted
+const wait = (ms, config, request) =>
+  new Promise((resolve, reject) => {
+    const { signal } = config;
+    let timer;
+    const cancel = () => {
+      clearTimeout(timer);
+      reject(new CanceledError(null, config, request));
+    };
+    if (signal?.aborted) return cancel();
+    timer = setTimeout(() => {
+      signal?.removeEventListener("abort", cancel);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", cancel, { once: true });
+  });
+
+const timeoutError = (config, request) =>
+  new AxiosError(
+    `timeout of ${config.timeout}ms exceeded`,
+    AxiosError.ECONNABORTED,
+    config,
+    request
+  );
+
+const createMockAdapter = (routes) => async (config) => {
+  const { latency, errorRate, errorKind } = getMockSettings();
+  // Real adapters pass the XMLHttpRequest here - toApiError() checks it
+  // to tell "no answer" (NetworkError) from "bad answer" (HttpError)
+  const request = { mocked: true };
+
+  // The fake network delay - but never longer than config.timeout
+  const timedOut = config.timeout > 0 && latency > config.timeout;
+  await wait(timedOut ? config.timeout : latency, config, request);
+  if (timedOut) throw timeoutError(config, request);
+
+  let result;
+  if (Math.random() < errorRate) {
+    // Error injection - fail on purpose to test the error UI
+    if (errorKind === "network") {
+      throw new AxiosError(
+        "Network Error",
+        AxiosError.ERR_NETWORK,
+        config,
+        request
+      );
+    }
+    if (errorKind === "timeout") throw timeoutError(config, request);
+    result =
+      errorKind === "not-found"
+        ? { status: 404, data: {} }
+        : { status: 500, data: { error: "Injected server error" } };
+  } else {
+    const url = new URL(axios.getUri(config));
+    const method = (config.method || "get").toLowerCase();
+    const route = matchRoute(routes, method, url.pathname);
+
+    let body = config.data;
+    try {
+      body = typeof body === "string" ? JSON.parse(body) : body;
+    } catch {
+      // Not JSON - hand it over as it is
+    }
+
+    result = route
+      ? route.handler({ params: route.params, query: url.searchParams, body })
+      : { status: 404, data: {} };
+  }
+
+  const status = result.status || 200;
+  const response = {
+    // A copy, so nobody can change the fixtures by editing the response
+    data: structuredClone(result.data),
+    status,
+    statusText: STATUS_TEXT[status] || "",
+    headers: { "content-type": "application/json", "x-mock": "true" },
+    config,
+    request,
+  };
+
+  // Same rule as the real adapters: 2xx resolves, everything else rejects
+  if (config.validateStatus && !config.validateStatus(status)) {
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      request,
+      response
+    );
+  }
+  return response;
+};
+
+export const jsonPlaceholderMock = createMockAdapter(jsonPlaceholderRoutes);
+export const picsumMock = createMockAdapter(picsumRoutes);
@@ -0,0 +1,47 @@
+// Mock settings
+// Live or mock mode, plus the knobs for the fake server. Saved in
+// localStorage so a refresh keeps the mode - handy on a plane.
+//
+//   enabled   → true: requests are answered by mockAdapter.js
+//   latency   → fake network delay in ms
+//   errorRate → 0..1, chance that a request fails on purpose
+//   errorKind → "server" (500), "not-found" (404), "network" or "timeout"
+
+const STORAGE_KEY = "api-calling-mock-settings";
+
+const DEFAULTS = {
+  // VITE_USE_MOCK_API=true in .env.local starts in mock mode
+  enabled: import.meta.env.VITE_USE_MOCK_API === "true",
+  latency: 400,
+  errorRate: 0,
+  errorKind: "server",
+};
+
+const load = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULTS, ...saved };
+  } catch {
+    return DEFAULTS;
+  }
+};
+
+let settings = load();
+const listeners = new Set();
+
+export const getMockSettings = () => settings;
+
+export const updateMockSettings = (changes) => {
+  settings = { ...settings, ...changes };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage full or blocked - the setting still works until a refresh
+  }
+  listeners.forEach((listener) => listener());
+};
+
+export const subscribeMockSettings = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
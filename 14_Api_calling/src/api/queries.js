@@ -0,0 +1,102 @@
+import { api, picsumApi } from "./client";
+
+// Query keys and fetchers shared by the examples
+// Keeping them in ONE place guarantees the same data always lands under
+// the same cache key - searching for "lea" twice only asks the server
+// once, and invalidateQueries(["users"]) reaches every user query.
+//
+// Every fetcher takes { signal } (passed in by the query cache) so a
+// request nobody waits for any more can be cancelled.
+//
+// Timeouts are set per request: a short list that takes longer than a few
+// seconds won't arrive at all, while the photo list is allowed more time.
+const FAST_TIMEOUT = 5000;
+const SLOW_TIMEOUT = 15000;
+
+export const queryKeys = {
+  users: ["users"],
+  user: (id) => ["users", id],
+  userSearch: (term) => ["users", { search: term }],
+  posts: ["posts"],
+  userPosts: (userId) => ["posts", { userId }],
+  // All pages loaded so far, in ONE entry (see useInfiniteQuery.js)
+  postPages: (limit) => ["posts", "pages", limit],
+  // Example 8's editable copy of a user's posts. NOT under "posts": its
+  // optimistic edits would be thrown away whenever a create invalidates
+  // ["posts"], and Example 3 shouldn't see posts JSONPlaceholder never saved
+  managedPosts: (userId) => ["managedPosts", { userId }],
+  photos: (page, limit) => ["photos", page, limit],
+  // A user's related data (Example 3)
+  userTodos: (userId) => ["todos", { userId }],
+  userAlbums: (userId) => ["albums", { userId }],
+  albumPhotos: (albumIds) => ["albumPhotos", albumIds],
+  postComments: (postId) => ["comments", { postId }],
+};
+
+export const getUsers = ({ signal }) =>
+  api
+    .get("/users", { signal, timeout: FAST_TIMEOUT })
+    .then((response) => response.data);
+
+export const getUser = (id, { signal }) =>
+  api
+    .get(`/users/${id}`, { signal, timeout: FAST_TIMEOUT })
+    .then((response) => response.data);
+
+// The server does the filtering: ?name_like=lea → names containing "lea"
+export const searchUsers = (term, { signal }) =>
+  api
+    .get("/users", { params: { name_like: term }, signal })
+    .then((response) => response.data);
+
+// One page of posts: ?_page=2&_limit=20 → posts 21-40
+export const getPostsPage = (page, limit, { signal }) =>
+  api
+    .get("/posts", { params: { _page: page, _limit: limit }, signal })
+    .then((response) => response.data);
+
+export const getUserPosts = (userId, { signal }) =>
+  api
+    .get("/posts", { params: { userId }, signal })
+    .then((response) => response.data);
+
+export const getPhotos = (page, limit, { signal }) =>
+  picsumApi
+    .get("/v2/list", { params: { page, limit }, signal, timeout: SLOW_TIMEOUT })
+    .then((response) => response.data);
+
+export const getUserTodos = (userId, { signal }) =>
+  api
+    .get("/todos", { params: { userId }, signal })
+    .then((response) => response.data);
+
+export const getUserAlbums = (userId, { signal }) =>
+  api
+    .get("/albums", { params: { userId }, signal })
+    .then((response) => response.data);
+
+// The first `limit` photos of EVERY album - one request per album, all
+// at the same time. Promise.all waits for all of them (and fails if one
+// fails); flatMap turns [[...], [...]] into one list
+export const getAlbumPhotos = (albumIds, limit, { signal }) =>
+  Promise.all(
+    albumIds.map((albumId) =>
+      api.get("/photos", { params: { albumId, _limit: limit }, signal })
+    )
+  ).then((responses) => responses.flatMap((response) => response.data));
+
+export const getPostComments = (postId, { signal }) =>
+  api
+    .get("/comments", { params: { postId }, signal })
+    .then((response) => response.data);
+
+// Mutations - they CHANGE data, so they're never cached
+// PUT replaces the whole post, PATCH only sends the fields that changed
+export const updatePost = (id, post) =>
+  api.put(`/posts/${id}`, post).then((response) => response.data);
+
+export const patchPost = (id, changes) =>
+  api.patch(`/posts/${id}`, changes).then((response) => response.data);
+
+export const deletePost = (id) =>
+  api.delete(`/posts/${id}`).then((response) => response.data);
@@ -0,0 +1,224 @@
+import { isCancelled } from "./errors";
+
+// Query cache
+// Remembers the answer of every request under a KEY, so a component that
+// remounts (e.g. after switching tabs) shows its data instantly instead of
+// fetching from scratch. A mini version of what React Query / SWR do.
+//
+// Keys are arrays - the same contents mean the same cache entry:
+//   ["users"]      → all users
+//   ["users", 3]   → user 3
+//
+// Two timers decide what happens to cached data:
+// - staleTime → how long data counts as FRESH. Fresh data is used without
+//               a request ("cache hit"). Older data is still shown, but
+//               refetched in the background ("stale-while-revalidate")
+// - cacheTime → how long an entry nobody uses is kept before it's deleted
+//
+// And a few extras:
+// - deduplication: two components asking for the same key at the same
+//   time share ONE request
+// - revalidate on focus: coming back to the tab refetches stale entries
+//   that are on screen
+// - invalidateQueries(key): mark entries stale by hand, e.g. after a POST
+
+export const DEFAULT_STALE_TIME = 30 * 1000; // 30 seconds
+export const DEFAULT_CACHE_TIME = 5 * 60 * 1000; // 5 minutes
+
+const queries = new Map(); // JSON key → entry
+
+const hashKey = (key) => JSON.stringify(key);
+
+const getEntry = (key) => {
+  const hash = hashKey(key);
+  if (!queries.has(hash)) {
+    queries.set(hash, {
+      key,
+      // Replaced (never changed) on every update, so React sees the change
+      state: {
+        data: undefined,
+        error: null,
+        updatedAt: 0, // 0 = no data yet
+        fetching: false,
+        invalidated: false,
+      },
+      staleTime: DEFAULT_STALE_TIME,
+      cacheTime: DEFAULT_CACHE_TIME,
+      queryFn: null,
+      promise: null, // the request in flight - shared by everyone asking
+      controller: null,
+      listeners: new Set(),
+      gcTimer: null,
+    });
+  }
+  return queries.get(hash);
+};
+
+const setState = (entry, changes) => {
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach((listener) => listener());
+};
+
+// "hit" → fresh data, no request needed
+// "stale" → data is there, but old (or invalidated) - refetch it
+// "miss" → nothing cached yet
+const statusOf = (entry, staleTime = entry.staleTime) => {
+  const { updatedAt, invalidated } = entry.state;
+  if (!updatedAt) return "miss";
+  if (invalidated || Date.now() - updatedAt > staleTime) return "stale";
+  return "hit";
+};
+
+// Delete the entry after cacheTime - unless someone starts using it again
+const scheduleRemoval = (entry) => {
+  clearTimeout(entry.gcTimer);
+  entry.gcTimer = setTimeout(() => {
+    if (entry.listeners.size === 0 && !entry.promise) {
+      queries.delete(hashKey(entry.key));
+    }
+  }, entry.cacheTime);
+};
+
+const runQuery = (entry) => {
+  // Deduplication: a request for this key is already on its way
+  if (entry.promise) return entry.promise;
+
+  const controller = new AbortController();
+  const finish = () => {
+    entry.promise = null;
+    entry.controller = null;
+    if (entry.listeners.size === 0) scheduleRemoval(entry);
+  };
+
+  entry.controller = controller;
+  setState(entry, { fetching: true });
+  entry.promise = entry.queryFn({ signal: controller.signal }).then(
+    (data) => {
+      // Cancelled in the meantime - a newer request owns the entry now
+      if (entry.controller !== controller) return data;
+      finish();
+      setState(entry, {
+        data,
+        error: null,
+        updatedAt: Date.now(),
+        fetching: false,
+        invalidated: false,
+      });
+      return data;
+    },
+    (error) => {
+      if (entry.controller !== controller) throw error;
+      finish();
+      // Keep the old data on error - stale data beats an empty screen
+      setState(
+        entry,
+        isCancelled(error) ? { fetching: false } : { error, fetching: false }
+      );
+      throw error;
+    }
+  );
+  return entry.promise;
+};
+
+// ============================================
+// Public API
+// ============================================
+
+// Get the data for `key`: straight from the cache while it's fresh,
+// otherwise from queryFn({ signal }) - which must return a promise.
+// options: { staleTime, cacheTime }
+export const fetchQuery = (key, queryFn, options = {}) => {
+  const entry = getEntry(key);
+  entry.queryFn = queryFn;
+  if (options.staleTime !== undefined) entry.staleTime = options.staleTime;
+  if (options.cacheTime !== undefined) entry.cacheTime = options.cacheTime;
+
+  if (statusOf(entry) === "hit") return Promise.resolve(entry.state.data);
+  return runQuery(entry);
+};
+
+// Fetch again even if the data is fresh
+export const refetchQuery = (key) => {
+  const entry = getEntry(key);
+  return entry.queryFn ? runQuery(entry) : Promise.resolve(entry.state.data);
+};
+
+// "hit" | "stale" | "miss" - what fetchQuery(key) would do right now
+export const getQueryStatus = (key, staleTime) => {
+  const entry = queries.get(hashKey(key));
+  return entry ? statusOf(entry, staleTime) : "miss";
+};
+
+// { data, error, updatedAt, fetching, invalidated } for `key`
+export const getQueryState = (key) => getEntry(key).state;
+
+// Read / write the cached data directly - e.g. for optimistic updates:
+//   setQueryData(["posts"], (posts) => posts.filter((p) => p.id !== 3))
+export const getQueryData = (key) => queries.get(hashKey(key))?.state.data;
+
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key);
+  const data =
+    typeof updater === "function" ? updater(entry.state.data) : updater;
+  setState(entry, { data, updatedAt: entry.state.updatedAt || Date.now() });
+  return data;
+};
+
+// Call `listener` whenever the entry for `key` changes.
+// While an entry has listeners it is never deleted.
+export const subscribeQuery = (key, listener) => {
+  const entry = getEntry(key);
+  clearTimeout(entry.gcTimer);
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size > 0) return;
+
+    // Nobody is watching any more - cancel an unfinished request
+    if (entry.controller) {
+      entry.controller.abort();
+      entry.controller = null;
+      entry.promise = null;
+      setState(entry, { fetching: false });
+    }
+    scheduleRemoval(entry);
+  };
+};
+
+// Mark entries stale. Entries on screen refetch right away, the others
+// on their next use.
+//   invalidateQueries(["users"]) → ["users"], ["users", 1], ["users", 2], ...
+//   invalidateQueries()          → everything
+export const invalidateQueries = (prefix = []) => {
+  queries.forEach((entry) => {
+    const matches = prefix.every(
+      (part, i) => hashKey(part) === hashKey(entry.key[i])
+    );
+    if (!matches || !entry.state.updatedAt) return;
+
+    setState(entry, { invalidated: true });
+    if (entry.listeners.size > 0 && entry.queryFn) {
+      runQuery(entry).catch(() => {}); // errors end up in entry.state
+    }
+  });
+};
+
+// Revalidate on focus: the user comes back to the tab → refresh every
+// stale entry that is on screen
+const revalidateVisible = () => {
+  queries.forEach((entry) => {
+    if (
+      entry.listeners.size > 0 &&
+      entry.queryFn &&
+      statusOf(entry) !== "hit"
+    ) {
+      runQuery(entry).catch(() => {});
+    }
+  });
+};
+
+window.addEventListener("focus", revalidateVisible);
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible") revalidateVisible();
+});
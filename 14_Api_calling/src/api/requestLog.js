@@ -0,0 +1,56 @@
+// Request log
+// A tiny store that remembers the last requests made through the API
+// client - the <RequestLog /> panel in App.jsx reads it. It lives outside
+// React, so the interceptors in client.js can write to it directly.
+//
+// Each entry looks like:
+//   { id, method: "GET", url: "https://.../users", status: 200,
+//     duration: 132, state: "pending" | "success" | "error" | "cancelled",
+//     error: "HttpError", mocked: false, attempt: 0 }
+// attempt > 0 means the line is an automatic retry
+
+const MAX_ENTRIES = 50;
+
+let entries = [];
+let nextId = 1;
+const listeners = new Set();
+
+// A NEW array on every change, so React notices the update
+const emit = (next) => {
+  entries = next;
+  listeners.forEach((listener) => listener());
+};
+
+export const getEntries = () => entries;
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Called when a request starts - returns the id to finish it with later
+export const startEntry = ({ method, url, mocked = false, attempt = 0 }) => {
+  const id = nextId++;
+  const entry = {
+    id,
+    method,
+    url,
+    status: null,
+    duration: null,
+    state: "pending",
+    error: null,
+    mocked,
+    attempt,
+  };
+  emit([entry, ...entries].slice(0, MAX_ENTRIES));
+  return id;
+};
+
+// Called when the response (or error) arrives
+export const finishEntry = (id, changes) => {
+  emit(
+    entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+  );
+};
+
+export const clearEntries = () => emit([]);
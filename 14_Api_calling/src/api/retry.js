@@ -0,0 +1,60 @@
+import { CanceledError } from "axios";
+import { HttpError, NetworkError, TimeoutError } from "./errors";
+
+// Retry with exponential backoff + jitter
+// Some failures are temporary: a flaky connection, a timeout, a server
+// that's restarting (5xx). Trying again a moment later often works.
+//
+//   attempt 1 fails → wait ~300ms → attempt 2 fails → wait ~600ms → attempt 3
+//
+// - exponential: every wait is twice as long as the one before, so a
+//   struggling server gets more and more room to recover
+// - jitter: each wait is a RANDOM part of that, so a thousand clients
+//   that failed together don't all retry at the same moment
+//
+// Only IDEMPOTENT requests are retried - sending them twice has the same
+// effect as sending them once. A POST sent twice might create two posts!
+//
+// Per request: api.get(url, { retry: { retries: 5 } }) or { retry: false }
+
+export const DEFAULT_RETRY = {
+  retries: 2, // extra attempts after the first one
+  baseDelay: 300, // ms before the first retry
+  maxDelay: 4000, // never wait longer than this
+};
+
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+export const isIdempotent = (method = "get") =>
+  IDEMPOTENT_METHODS.includes(method.toLowerCase());
+
+// Would trying again help? Not for 4xx - the request itself is wrong -
+// except 408 (Request Timeout) and 429 (Too Many Requests)
+export const isRetryable = (error) =>
+  error instanceof NetworkError ||
+  error instanceof TimeoutError ||
+  (error instanceof HttpError &&
+    (error.status >= 500 || error.status === 408 || error.status === 429));
+
+// "Full jitter": a random delay between 0 and the exponential cap
+export const getRetryDelay = (attempt, options = DEFAULT_RETRY) => {
+  const cap = Math.min(options.maxDelay, options.baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+};
+
+// Wait before the next attempt - unless the request gets cancelled
+export const waitForRetry = (ms, config) =>
+  new Promise((resolve, reject) => {
+    const { signal } = config;
+    let timer;
+    const cancel = () => {
+      clearTimeout(timer);
+      reject(new CanceledError(null, config));
+    };
+    if (signal?.aborted) return cancel();
+    timer = setTimeout(() => {
+      signal?.removeEventListener("abort", cancel);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", cancel, { once: true });
+  });
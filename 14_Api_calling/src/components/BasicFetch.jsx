@@ -1,23 +1,31 @@
-import { useState } from 'react'
-import axios from "axios";
+import { useState } from "react";
+import { getUsers, queryKeys } from "../api/queries";
+import {
+  fetchQuery,
+  getQueryStatus,
+  invalidateQueries,
+} from "../api/queryCache";
+import CacheBadge from "./CacheBadge";
+import ErrorMessage from "./ErrorMessage";
 
 // Example 1: Basic GET request with all three states
 function BasicFetch() {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [cacheStatus, setCacheStatus] = useState(null);
 
   const fetchUsers = async () => {
     setLoading(true);
     setError(null);
+    // Fresh users in the cache? Then fetchQuery makes no request at all
+    setCacheStatus(getQueryStatus(queryKeys.users));
 
     try {
-      const response = await axios.get(
-        "https://jsonplaceholder.typicode.com/users"
-      );
-      setUsers(response.data);
+      const users = await fetchQuery(queryKeys.users, getUsers);
+      setUsers(users);
     } catch (err) {
-      setError(err.message);
+      setError(err);
     } finally {
       setLoading(false);
     }
@@ -50,19 +58,13 @@ function BasicFetch() {
         {loading ? "Loading..." : "Fetch Users"}
       </button>
 
-      {error && (
-        <div
-          style={{
-            color: "red",
-            padding: "10px",
-            backgroundColor: "#fee",
-            borderRadius: "5px",
-            marginBottom: "10px",
-          }}
-        >
-          ❌ Error: {error}
-        </div>
-      )}
+      <CacheBadge
+        status={cacheStatus}
+        fetching={loading}
+        onInvalidate={() => invalidateQueries(queryKeys.users)}
+      />
+
+      <ErrorMessage error={error} onRetry={fetchUsers} retrying={loading} />
 
       {users.length > 0 && (
         <div>
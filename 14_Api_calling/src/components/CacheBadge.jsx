@@ -0,0 +1,71 @@
+// Cache badge - shows how an example's data was found in the query cache
+//
+// Props:
+//   status       - "hit" | "stale" | "miss" (null = nothing asked yet)
+//   fetching     - true while a request for the data is running
+//   updatedAt    - when the data was fetched (ms timestamp), optional
+//   onInvalidate - called by the "Invalidate" button, optional
+
+const LABELS = {
+  hit: { text: "⚡ Cache hit", color: "#047857", background: "#d1fae5" },
+  stale: {
+    text: "♻️ Stale - revalidating",
+    color: "#b45309",
+    background: "#fef3c7",
+  },
+  miss: { text: "🌐 Cache miss", color: "#374151", background: "#e5e7eb" },
+};
+
+function CacheBadge({ status, fetching, updatedAt, onInvalidate }) {
+  if (!status) return null;
+  const label = LABELS[status];
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "10px",
+        marginBottom: "15px",
+        fontSize: "13px",
+      }}
+    >
+      <span
+        style={{
+          padding: "4px 10px",
+          borderRadius: "999px",
+          backgroundColor: label.background,
+          color: label.color,
+          fontWeight: "bold",
+        }}
+      >
+        {label.text}
+      </span>
+      {fetching && <span style={{ color: "#6b7280" }}>🔄 fetching...</span>}
+      {!fetching && updatedAt > 0 && (
+        <span style={{ color: "#6b7280" }}>
+          Fetched at {new Date(updatedAt).toLocaleTimeString()}
+        </span>
+      )}
+      {onInvalidate && (
+        <button
+          onClick={onInvalidate}
+          style={{
+            padding: "4px 10px",
+            backgroundColor: "white",
+            color: "#374151",
+            border: "1px solid #d1d5db",
+            borderRadius: "5px",
+            cursor: "pointer",
+            fontSize: "13px",
+          }}
+        >
+          Invalidate
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default CacheBadge;
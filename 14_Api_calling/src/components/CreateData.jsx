@@ -1,5 +1,8 @@
 import { useState } from "react";
-import axios from "axios";
+import { api } from "../api/client";
+import { queryKeys } from "../api/queries";
+import { invalidateQueries } from "../api/queryCache";
+import ErrorMessage from "./ErrorMessage";
 
 // Example 5: POST Request - Creating Data
 function CreateData() {
@@ -19,15 +22,15 @@ function CreateData() {
     setResponse(null);
 
     try {
-      const res = await axios.post(
-        "https://jsonplaceholder.typicode.com/posts",
-        formData
-      );
+      const res = await api.post("/posts", formData);
       setResponse(res.data);
+      // The cached post list is out of date now - mark it stale so
+      // Example 2 refetches instead of showing the old list
+      invalidateQueries(queryKeys.posts);
       // Reset form
       setFormData({ title: "", body: "", userId: 1 });
     } catch (err) {
-      setError(err.message);
+      setError(err);
     } finally {
       setLoading(false);
     }
@@ -117,19 +120,10 @@ function CreateData() {
         </button>
       </form>
 
-      {error && (
-        <div
-          style={{
-            color: "#ef4444",
-            padding: "15px",
-            backgroundColor: "#fee",
-            borderRadius: "8px",
-            marginBottom: "15px",
-          }}
-        >
-          ❌ Error: {error}
-        </div>
-      )}
+      {/* No retry button: a POST isn't idempotent. If it timed out, the
+          post may exist already - retrying could create it twice. The
+          form keeps its values, so the user can decide to submit again */}
+      <ErrorMessage error={error} />
 
       {response && (
         <div
@@ -143,6 +137,9 @@ function CreateData() {
           <h3 style={{ margin: "0 0 10px 0", color: "#ef4444" }}>
             ✅ Post Created Successfully!
           </h3>
+          <p style={{ margin: "0 0 10px 0", color: "#666", fontSize: "14px" }}>
+            ♻️ The cached posts were invalidated - Example 2 will refetch them.
+          </p>
           <pre
             style={{
               backgroundColor: "white",
@@ -1,12 +1,13 @@
 import { useState } from "react";
 import { useFetch } from "../hooks/useFetch";
+import CacheBadge from "./CacheBadge";
+import ErrorMessage from "./ErrorMessage";
 
 // Example Component using the custom hook
 function CustomHookExample() {
   const [postId, setPostId] = useState(1);
-  const { data, loading, error, refetch } = useFetch(
-    `https://jsonplaceholder.typicode.com/posts/${postId}`
-  );
+  const { data, loading, error, status, refetch, cacheStatus, fetching } =
+    useFetch(`/posts/${postId}`);
 
   return (
     <div
@@ -53,23 +54,19 @@ function CustomHookExample() {
         </button>
       </div>
 
+      <CacheBadge status={cacheStatus} fetching={fetching} />
+
       {loading && (
         <div style={{ padding: "20px", textAlign: "center", color: "#ec4899" }}>
           ⏳ Loading post...
         </div>
       )}
 
-      {error && (
-        <div
-          style={{
-            color: "red",
-            padding: "10px",
-            backgroundColor: "#fee",
-            borderRadius: "5px",
-          }}
-        >
-          ❌ Error: {error}
-        </div>
+      {/* Typed errors let ErrorMessage explain what happened - and only
+          offer "Try again" when that can help (not for a 404) */}
+      <ErrorMessage error={error} onRetry={refetch} retrying={fetching} />
+      {status === 404 && (
+        <p style={{ color: "#666" }}>There's no post with ID {postId}.</p>
       )}
 
       {data && !loading && (
@@ -98,6 +95,7 @@ function CustomHookExample() {
           >
             <strong>💡 Tip:</strong> This component uses a custom hook called{" "}
             <code>useFetch</code>. You can reuse this hook anywhere in your app!
+            (HTTP status: {status})
           </div>
         </div>
       )}
@@ -121,26 +119,34 @@ function CustomHookExample() {
             fontSize: "12px",
           }}
         >
-          {`const useFetch = (url) => {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+          {`// The idea behind it - the real src/hooks/useFetch.js adds a cache
+// on top (src/hooks/useQuery.js + src/api/queryCache.js)
+const useFetch = (url) => {
+  const [state, setState] = useState({ data: null, loading: true, error: null });
+  const [reloadCount, setReloadCount] = useState(0);
 
   useEffect(() => {
-    const fetchData = async () => {
-      try {
-        const response = await axios.get(url);
-        setData(response.data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
+    const controller = new AbortController();
+    let active = true; // false once a newer request has started
+
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+    api // the shared client from src/api/client.js
+      .get(url, { signal: controller.signal })
+      .then((res) => active && setState({ data: res.data, loading: false, error: null }))
+      .catch((err) => {
+        if (!active || axios.isCancel(err)) return;
+        setState((prev) => ({ ...prev, loading: false, error: toApiError(err) }));
+      });
+
+    // url changed or component unmounted → cancel the old request
+    return () => {
+      active = false;
+      controller.abort();
     };
-    fetchData();
-  }, [url]);
+  }, [url, reloadCount]);
 
-  return { data, loading, error };
+  const refetch = () => setReloadCount((c) => c + 1);
+  return { ...state, refetch };
 };`}
         </pre>
       </div>
@@ -1,57 +1,116 @@
-import { useState, useEffect } from "react";
-import axios from "axios";
+import { useState } from "react";
+import {
+  getAlbumPhotos,
+  getUser,
+  getUserAlbums,
+  getUserPosts,
+  getUserTodos,
+  queryKeys,
+} from "../api/queries";
+import { useQuery } from "../hooks/useQuery";
+import { placeholderFromUrl } from "../utils/placeholderImage";
+import CacheBadge from "./CacheBadge";
+import ErrorMessage from "./ErrorMessage";
+import PostComments from "./PostComments";
+import ProfileSection from "./ProfileSection";
 
 // Example 3: Fetch with dynamic parameters (dependency array)
+// A new userId loads a whole user profile - and the requests run at the
+// SAME time, not one after another:
+//
+//   /users/3         ──┐
+//   /posts?userId=3  ──┤
+//   /todos?userId=3  ──┼─ all start together
+//   /albums?userId=3 ──┘
+//        └─→ /photos?albumId=21, 22, ... (needs the album ids first)
+//
+// Every section has its own useQuery, so each one has its own loading
+// and error state: if /todos fails, only the Todos box shows an error.
+// Comments are loaded only when you open a post ("lazy loading").
+
+const COLOR = "#f59e0b";
+const PHOTOS_PER_ALBUM = 2;
+
 function DynamicFetch() {
   const [userId, setUserId] = useState(1);
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    // This runs whenever userId changes
-    const fetchUser = async () => {
-      setLoading(true);
-      setError(null);
-
-      try {
-        const response = await axios.get(
-          `https://jsonplaceholder.typicode.com/users/${userId}`
-        );
-        setUser(response.data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchUser();
-  }, [userId]); // Runs when userId changes
+  const [openPostIds, setOpenPostIds] = useState([]);
+
+  // The key contains userId, so a new userId means a new fetch - just
+  // like a dependency array. Go back to a user you've already seen and
+  // it's a cache hit: no request, no spinner
+  const {
+    data: user,
+    loading,
+    error,
+    fetching,
+    cacheStatus,
+    updatedAt,
+    invalidate,
+    refetch,
+  } = useQuery(queryKeys.user(userId), (context) => getUser(userId, context));
+
+  // Independent of each other (and of the user) → fetched in parallel
+  const postsQuery = useQuery(queryKeys.userPosts(userId), (context) =>
+    getUserPosts(userId, context)
+  );
+  const todosQuery = useQuery(queryKeys.userTodos(userId), (context) =>
+    getUserTodos(userId, context)
+  );
+  const albumsQuery = useQuery(queryKeys.userAlbums(userId), (context) =>
+    getUserAlbums(userId, context)
+  );
+
+  // A DEPENDENT query: the photos need the album ids, so it waits
+  // (enabled: false) until the albums are there
+  const albumIds = albumsQuery.data
+    ? albumsQuery.data.map((album) => album.id)
+    : [];
+  const photosQuery = useQuery(
+    queryKeys.albumPhotos(albumIds),
+    (context) => getAlbumPhotos(albumIds, PHOTOS_PER_ALBUM, context),
+    { enabled: albumIds.length > 0 }
+  );
+
+  const togglePost = (postId) =>
+    setOpenPostIds((ids) =>
+      ids.includes(postId)
+        ? ids.filter((id) => id !== postId)
+        : [...ids, postId]
+    );
+
+  const todos = todosQuery.data;
+  const doneCount = todos ? todos.filter((todo) => todo.completed).length : 0;
 
   return (
     <div
       style={{
         padding: "20px",
-        border: "2px solid #f59e0b",
+        border: `2px solid ${COLOR}`,
         borderRadius: "8px",
         marginBottom: "20px",
       }}
     >
       <h2>🔀 Example 3: Dynamic Fetch (Dependencies)</h2>
-      <p style={{ color: "#666" }}>Data re-fetches when userId changes!</p>
+      <p style={{ color: "#666" }}>
+        Data re-fetches when userId changes - the profile, posts, todos, albums
+        and photos all load in parallel!
+      </p>
 
       <div style={{ marginBottom: "20px" }}>
-        <label style={{ marginRight: "10px", fontWeight: "bold" }}>
+        <label
+          htmlFor="dynamic-fetch-user"
+          style={{ marginRight: "10px", fontWeight: "bold" }}
+        >
           Select User ID:
         </label>
         <select
+          id="dynamic-fetch-user"
           value={userId}
           onChange={(e) => setUserId(Number(e.target.value))}
           style={{
             padding: "8px",
             borderRadius: "5px",
-            border: "2px solid #f59e0b",
+            border: `2px solid ${COLOR}`,
           }}
         >
           {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((id) => (
@@ -62,24 +121,20 @@ function DynamicFetch() {
         </select>
       </div>
 
+      <CacheBadge
+        status={cacheStatus}
+        fetching={fetching}
+        updatedAt={updatedAt}
+        onInvalidate={invalidate}
+      />
+
       {loading && (
-        <div style={{ padding: "20px", textAlign: "center", color: "#f59e0b" }}>
+        <div style={{ padding: "20px", textAlign: "center", color: COLOR }}>
           ⏳ Loading user data...
         </div>
       )}
 
-      {error && (
-        <div
-          style={{
-            color: "red",
-            padding: "10px",
-            backgroundColor: "#fee",
-            borderRadius: "5px",
-          }}
-        >
-          ❌ Error: {error}
-        </div>
-      )}
+      <ErrorMessage error={error} onRetry={refetch} retrying={fetching} />
 
       {user && !loading && (
         <div
@@ -87,12 +142,11 @@ function DynamicFetch() {
             padding: "20px",
             backgroundColor: "#fffbeb",
             borderRadius: "8px",
-            border: "2px solid #f59e0b",
+            border: `2px solid ${COLOR}`,
+            marginBottom: "15px",
           }}
         >
-          <h3 style={{ margin: "0 0 15px 0", color: "#f59e0b" }}>
-            👤 {user.name}
-          </h3>
+          <h3 style={{ margin: "0 0 15px 0", color: COLOR }}>👤 {user.name}</h3>
           <div style={{ lineHeight: "1.8" }}>
             <p>
               <strong>Username:</strong> {user.username}
@@ -115,6 +169,161 @@ function DynamicFetch() {
           </div>
         </div>
       )}
+
+      {/* The sections don't wait for the user - or for each other */}
+      <div
+        style={{
+          display: "grid",
+          gap: "15px",
+          gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))",
+        }}
+      >
+        <div style={{ gridColumn: "1 / -1" }}>
+          <ProfileSection
+            title="📝 Posts"
+            count={postsQuery.data?.length}
+            loading={postsQuery.loading}
+            error={postsQuery.error}
+            onRetry={postsQuery.refetch}
+            retrying={postsQuery.fetching}
+          >
+            {postsQuery.data && (
+              <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+                {postsQuery.data.map((post) => {
+                  const open = openPostIds.includes(post.id);
+                  return (
+                    <li
+                      key={post.id}
+                      style={{
+                        padding: "10px 0",
+                        borderBottom: "1px solid #fde68a",
+                      }}
+                    >
+                      <strong>{post.title}</strong>
+                      <div>
+                        <button
+                          onClick={() => togglePost(post.id)}
+                          aria-expanded={open}
+                          aria-controls={`post-${post.id}-comments`}
+                          style={{
+                            marginTop: "5px",
+                            padding: "4px 10px",
+                            backgroundColor: open ? COLOR : "#fef3c7",
+                            color: open ? "white" : "#92400e",
+                            border: "none",
+                            borderRadius: "5px",
+                            cursor: "pointer",
+                          }}
+                        >
+                          💬 {open ? "Hide comments" : "Show comments"}
+                        </button>
+                      </div>
+                      {/* Mounting PostComments is what loads the comments */}
+                      {open && (
+                        <div id={`post-${post.id}-comments`}>
+                          <PostComments postId={post.id} />
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </ProfileSection>
+        </div>
+
+        <ProfileSection
+          title="✅ Todos"
+          count={todos && `${doneCount} of ${todos.length} done`}
+          loading={todosQuery.loading}
+          error={todosQuery.error}
+          onRetry={todosQuery.refetch}
+          retrying={todosQuery.fetching}
+        >
+          {todos && (
+            <ul
+              style={{
+                listStyle: "none",
+                padding: 0,
+                margin: 0,
+                maxHeight: "250px",
+                overflowY: "auto",
+              }}
+            >
+              {todos.map((todo) => (
+                <li
+                  key={todo.id}
+                  style={{
+                    padding: "4px 0",
+                    color: todo.completed ? "#999" : "#374151",
+                    textDecoration: todo.completed ? "line-through" : "none",
+                  }}
+                >
+                  {todo.completed ? "✅" : "⬜"} {todo.title}
+                </li>
+              ))}
+            </ul>
+          )}
+        </ProfileSection>
+
+        <ProfileSection
+          title="📁 Albums"
+          count={albumsQuery.data?.length}
+          loading={albumsQuery.loading}
+          error={albumsQuery.error}
+          onRetry={albumsQuery.refetch}
+          retrying={albumsQuery.fetching}
+        >
+          {albumsQuery.data && (
+            <ul style={{ paddingLeft: "20px", margin: 0, lineHeight: "1.6" }}>
+              {albumsQuery.data.map((album) => (
+                <li key={album.id}>{album.title}</li>
+              ))}
+            </ul>
+          )}
+        </ProfileSection>
+
+        <ProfileSection
+          title="🖼️ Photos"
+          count={photosQuery.data?.length}
+          waiting={
+            !albumsQuery.data &&
+            (albumsQuery.error
+              ? "Photos need the albums - retry them first."
+              : "Waiting for the albums...")
+          }
+          loading={photosQuery.loading}
+          error={photosQuery.error}
+          onRetry={photosQuery.refetch}
+          retrying={photosQuery.fetching}
+        >
+          {photosQuery.data && (
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "repeat(auto-fill, minmax(50px, 1fr))",
+                gap: "6px",
+              }}
+            >
+              {photosQuery.data.map((photo) => (
+                // The live API's thumbnails point at via.placeholder.com,
+                // which is gone - placeholderFromUrl draws them locally
+                <img
+                  key={photo.id}
+                  src={placeholderFromUrl(photo.thumbnailUrl)}
+                  alt={photo.title}
+                  title={photo.title}
+                  style={{
+                    width: "100%",
+                    aspectRatio: "1",
+                    borderRadius: "5px",
+                  }}
+                />
+              ))}
+            </div>
+          )}
+        </ProfileSection>
+      </div>
     </div>
   );
 }
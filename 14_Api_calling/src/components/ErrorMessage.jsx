@@ -0,0 +1,53 @@
+import { describeError } from "../api/errors";
+
+// Error message - tells the user WHAT kind of failure happened
+//
+// Props:
+//   error    - the error (an ApiError from src/api/errors.js)
+//   onRetry  - called by the "Try again" button. The button only shows up
+//              when retrying can help (not for a 404, for example)
+//   retrying - true while the retry is running
+function ErrorMessage({ error, onRetry, retrying = false }) {
+  if (!error) return null;
+  const { title, hint, canRetry } = describeError(error);
+
+  return (
+    <div
+      role="alert"
+      style={{
+        color: "#991b1b",
+        padding: "12px 15px",
+        backgroundColor: "#fee",
+        borderRadius: "5px",
+        marginBottom: "10px",
+      }}
+    >
+      <strong>{title}</strong>
+      <p style={{ margin: "5px 0" }}>{hint}</p>
+      <p style={{ margin: "5px 0", fontSize: "12px", color: "#7f1d1d" }}>
+        {error.name}: {error.message}
+        {error.attempts > 1 && ` (tried ${error.attempts} times)`}
+      </p>
+
+      {canRetry && onRetry && (
+        <button
+          onClick={onRetry}
+          disabled={retrying}
+          style={{
+            marginTop: "5px",
+            padding: "6px 14px",
+            backgroundColor: "#ef4444",
+            color: "white",
+            border: "none",
+            borderRadius: "5px",
+            cursor: retrying ? "not-allowed" : "pointer",
+          }}
+        >
+          {retrying ? "Retrying..." : "🔄 Try again"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ErrorMessage;
@@ -1,30 +1,40 @@
-import { useState, useEffect } from "react";
-import axios from "axios";
+import { getPostsPage, queryKeys } from "../api/queries";
+import { useInfiniteQuery } from "../hooks/useInfiniteQuery";
+import CacheBadge from "./CacheBadge";
+import ErrorMessage from "./ErrorMessage";
+import VirtualList from "./VirtualList";
 
-// Example 2: Fetch on component mount using useEffect
-function FetchOnMount() {
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+// Example 2: Fetch on component mount - with infinite scroll
+// The first page loads when the component mounts. Scrolling near the end
+// loads the next one (?_page=2&_limit=20, ...) until the API runs out.
+//
+// However many posts are loaded, only the ones on screen are rendered
+// (see VirtualList.jsx). Switch tabs and come back: the loaded pages come
+// from the cache and the list is scrolled to where you left it.
 
-  useEffect(() => {
-    // This runs automatically when component mounts
-    const fetchPosts = async () => {
-      try {
-        setLoading(true);
-        const response = await axios.get(
-          "https://jsonplaceholder.typicode.com/posts"
-        );
-        setPosts(response.data.slice(0, 6)); // Get first 6 posts
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+const PAGE_SIZE = 20;
+const ROW_HEIGHT = 110; // px - every row is the same height
+const LIST_HEIGHT = 480; // px - the scrollable area
 
-    fetchPosts();
-  }, []); // Empty dependency array = run once on mount
+function FetchOnMount() {
+  const {
+    items: posts,
+    loading,
+    error,
+    fetching,
+    cacheStatus,
+    updatedAt,
+    invalidate,
+    refetch,
+    hasNextPage,
+    fetchNextPage,
+    fetchingNextPage,
+    nextPageError,
+  } = useInfiniteQuery(
+    queryKeys.postPages(PAGE_SIZE),
+    (page, context) => getPostsPage(page, PAGE_SIZE, context),
+    { pageSize: PAGE_SIZE }
+  );
 
   if (loading) {
     return (
@@ -43,7 +53,7 @@ function FetchOnMount() {
     );
   }
 
-  if (error) {
+  if (error && posts.length === 0) {
     return (
       <div
         style={{
@@ -53,20 +63,28 @@ function FetchOnMount() {
         }}
       >
         <h2>🔄 Example 2: Fetch on Mount</h2>
-        <div
-          style={{
-            color: "red",
-            padding: "10px",
-            backgroundColor: "#fee",
-            borderRadius: "5px",
-          }}
-        >
-          ❌ Error: {error}
-        </div>
+        <ErrorMessage error={error} onRetry={refetch} retrying={fetching} />
       </div>
     );
   }
 
+  // Below the last row: what happens next?
+  let footer;
+  if (fetchingNextPage) {
+    footer = "⏳ Loading more posts...";
+  } else if (nextPageError) {
+    // No automatic retries from the sentinel - the user decides
+    footer = (
+      <ErrorMessage
+        error={nextPageError}
+        onRetry={fetchNextPage}
+        retrying={fetchingNextPage}
+      />
+    );
+  } else if (!hasNextPage) {
+    footer = `🎉 That's all ${posts.length} posts!`;
+  }
+
   return (
     <div
       style={{
@@ -78,29 +96,82 @@ function FetchOnMount() {
     >
       <h2>🔄 Example 2: Fetch on Mount</h2>
       <p style={{ color: "#666" }}>
-        Data loaded automatically when component appeared!
+        Data loaded automatically when component appeared! Scroll down to load
+        more - {posts.length} posts loaded, but only the visible ones are in the
+        DOM.
       </p>
+      <CacheBadge
+        status={cacheStatus}
+        fetching={fetching}
+        updatedAt={updatedAt}
+        onInvalidate={invalidate}
+      />
 
-      <div style={{ display: "grid", gap: "15px" }}>
-        {posts.map((post) => (
+      <VirtualList
+        items={posts}
+        rowHeight={ROW_HEIGHT}
+        height={LIST_HEIGHT}
+        getKey={(post) => post.id}
+        onEndReached={fetchNextPage}
+        canLoadMore={hasNextPage && !fetchingNextPage && !nextPageError}
+        scrollKey="fetch-on-mount-posts"
+        label="Posts"
+        footer={
+          footer && (
+            <div
+              role="status"
+              style={{ padding: "15px", textAlign: "center", color: "#666" }}
+            >
+              {footer}
+            </div>
+          )
+        }
+        renderRow={(post) => (
+          // The padding makes the gap between rows - it's part of ROW_HEIGHT
           <div
-            key={post.id}
             style={{
-              padding: "15px",
-              backgroundColor: "#f0fdf4",
-              borderRadius: "8px",
-              borderLeft: "4px solid #10b981",
+              height: "100%",
+              boxSizing: "border-box",
+              padding: "0 5px 10px 0",
             }}
           >
-            <h3 style={{ margin: "0 0 10px 0", color: "#10b981" }}>
-              {post.id}. {post.title}
-            </h3>
-            <p style={{ margin: 0, color: "#666" }}>
-              {post.body.substring(0, 100)}...
-            </p>
+            <div
+              style={{
+                height: "100%",
+                boxSizing: "border-box",
+                padding: "15px",
+                backgroundColor: "#f0fdf4",
+                borderRadius: "8px",
+                borderLeft: "4px solid #10b981",
+                overflow: "hidden",
+              }}
+            >
+              <h3
+                style={{
+                  margin: "0 0 10px 0",
+                  color: "#10b981",
+                  whiteSpace: "nowrap",
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                }}
+              >
+                {post.id}. {post.title}
+              </h3>
+              <p
+                style={{
+                  margin: 0,
+                  color: "#666",
+                  whiteSpace: "nowrap",
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                }}
+              >
+                {post.body}
+              </p>
+            </div>
           </div>
-        ))}
-      </div>
+        )}
+      />
     </div>
   );
 }
@@ -1,23 +1,36 @@
 import { useState } from "react";
-import axios from "axios";
+import { getPhotos, queryKeys } from "../api/queries";
+import {
+  fetchQuery,
+  getQueryStatus,
+  invalidateQueries,
+} from "../api/queryCache";
+import CacheBadge from "./CacheBadge";
+import ErrorMessage from "./ErrorMessage";
+
+const PAGE = 1;
+const LIMIT = 8;
 
 // Example 6: Image Gallery from API
 function ImageGallery() {
   const [images, setImages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [cacheStatus, setCacheStatus] = useState(null);
 
   const fetchImages = async () => {
     setLoading(true);
     setError(null);
+    setCacheStatus(getQueryStatus(queryKeys.photos(PAGE, LIMIT)));
 
     try {
-      const response = await axios.get(
-        "https://picsum.photos/v2/list?page=1&limit=8"
+      const photos = await fetchQuery(
+        queryKeys.photos(PAGE, LIMIT),
+        (context) => getPhotos(PAGE, LIMIT, context)
       );
-      setImages(response.data);
+      setImages(photos);
     } catch (err) {
-      setError(err.message);
+      setError(err);
     } finally {
       setLoading(false);
     }
@@ -52,18 +65,13 @@ function ImageGallery() {
         {loading ? "Loading Images..." : "Load Gallery"}
       </button>
 
-      {error && (
-        <div
-          style={{
-            color: "red",
-            padding: "10px",
-            backgroundColor: "#fee",
-            borderRadius: "5px",
-          }}
-        >
-          ❌ Error: {error}
-        </div>
-      )}
+      <CacheBadge
+        status={cacheStatus}
+        fetching={loading}
+        onInvalidate={() => invalidateQueries(queryKeys.photos(PAGE, LIMIT))}
+      />
+
+      <ErrorMessage error={error} onRetry={fetchImages} retrying={loading} />
 
       {images.length > 0 && (
         <div
@@ -0,0 +1,407 @@
+import { useState } from "react";
+import {
+  deletePost,
+  getUserPosts,
+  patchPost,
+  queryKeys,
+  updatePost,
+} from "../api/queries";
+import { describeError } from "../api/errors";
+import { getQueryData, setQueryData } from "../api/queryCache";
+import { useQuery } from "../hooks/useQuery";
+import { validatePost } from "../utils/validatePost";
+import ErrorMessage from "./ErrorMessage";
+
+// Example 8: Full CRUD - list, update (PUT / PATCH) and delete posts
+//
+// Optimistic UI: change the screen FIRST, then send the request.
+//   success → keep the change (with whatever the server sent back)
+//   failure → roll back to what was there before and explain why
+// The app feels instant, even on a slow connection.
+//
+// The posts live in the query cache, so the optimistic change is simply
+// setQueryData(...) - and the rollback is another setQueryData(...).
+
+const USER_ID = 1;
+const POSTS_KEY = queryKeys.managedPosts(USER_ID);
+
+const COLOR = "#6366f1";
+
+const buttonStyle = (background, color = "white") => ({
+  padding: "8px 14px",
+  backgroundColor: background,
+  color,
+  border: "none",
+  borderRadius: "5px",
+  cursor: "pointer",
+  fontWeight: "bold",
+});
+
+const fieldStyle = (invalid) => ({
+  width: "100%",
+  padding: "10px",
+  borderRadius: "5px",
+  border: `2px solid ${invalid ? "#ef4444" : COLOR}`,
+  boxSizing: "border-box",
+  fontFamily: "inherit",
+});
+
+function ManagePosts() {
+  // staleTime: Infinity - JSONPlaceholder doesn't really save changes,
+  // so a background refetch would bring the old posts back
+  const {
+    data: posts,
+    loading,
+    error,
+    fetching,
+    refetch,
+  } = useQuery(POSTS_KEY, (context) => getUserPosts(USER_ID, context), {
+    staleTime: Infinity,
+  });
+
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({ title: "", body: "" });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [pendingIds, setPendingIds] = useState([]);
+  const [message, setMessage] = useState(null); // { type, text }
+
+  const replacePost = (id, post) =>
+    setQueryData(POSTS_KEY, (list = []) =>
+      list.map((item) => (item.id === id ? post : item))
+    );
+
+  const setPending = (id, pending) =>
+    setPendingIds((ids) =>
+      pending ? [...ids, id] : ids.filter((pendingId) => pendingId !== id)
+    );
+
+  const startEditing = (post) => {
+    setEditingId(post.id);
+    setDraft({ title: post.title, body: post.body });
+    setFieldErrors({});
+    setConfirmingId(null);
+  };
+
+  // method "put"   → send the whole post
+  // method "patch" → send only the fields that changed
+  const save = async (post, method) => {
+    const errors = validatePost(draft);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const values = { title: draft.title.trim(), body: draft.body.trim() };
+    const changes = {};
+    if (values.title !== post.title) changes.title = values.title;
+    if (values.body !== post.body) changes.body = values.body;
+
+    setEditingId(null);
+    if (method === "patch" && Object.keys(changes).length === 0) return;
+
+    // 1. Update the screen right away
+    const optimistic = { ...post, ...values };
+    replacePost(post.id, optimistic);
+    setPending(post.id, true);
+    setMessage(null);
+
+    try {
+      // 2. Then tell the server
+      const saved =
+        method === "put"
+          ? await updatePost(post.id, optimistic)
+          : await patchPost(post.id, changes);
+      replacePost(post.id, { ...optimistic, ...saved });
+      setMessage({
+        type: "success",
+        text: `${method.toUpperCase()} /posts/${post.id} saved`,
+      });
+    } catch (err) {
+      // 3. It failed - put the old post back
+      replacePost(post.id, post);
+      setMessage({
+        type: "error",
+        text: `Couldn't save post #${post.id}: ${describeError(err).title} - your change was undone.`,
+      });
+    } finally {
+      setPending(post.id, false);
+    }
+  };
+
+  const remove = async (post) => {
+    const index = (getQueryData(POSTS_KEY) || []).findIndex(
+      (item) => item.id === post.id
+    );
+    setConfirmingId(null);
+    setMessage(null);
+
+    // 1. Remove it from the screen right away
+    setQueryData(POSTS_KEY, (list = []) =>
+      list.filter((item) => item.id !== post.id)
+    );
+
+    try {
+      // 2. Then tell the server
+      await deletePost(post.id);
+      setMessage({ type: "success", text: `DELETE /posts/${post.id} done` });
+    } catch (err) {
+      // 3. It failed - put the post back where it was
+      setQueryData(POSTS_KEY, (list = []) => [
+        ...list.slice(0, index),
+        post,
+        ...list.slice(index),
+      ]);
+      setMessage({
+        type: "error",
+        text: `Couldn't delete post #${post.id}: ${describeError(err).title} - it was restored.`,
+      });
+    }
+  };
+
+  return (
+    <div
+      style={{
+        padding: "20px",
+        border: `2px solid ${COLOR}`,
+        borderRadius: "8px",
+        marginBottom: "20px",
+      }}
+    >
+      <h2>🛠️ Example 8: Update & Delete (PUT / PATCH / DELETE)</h2>
+      <p style={{ color: "#666" }}>
+        Edit or delete user {USER_ID}'s posts. The screen updates before the
+        server answers - and rolls back if the request fails.
+      </p>
+      <p style={{ color: "#666", fontSize: "14px" }}>
+        💡 Switch to <strong>🧪 Mock API</strong> with errors turned on to see
+        the rollback.
+      </p>
+
+      <button
+        onClick={refetch}
+        disabled={fetching}
+        style={{
+          ...buttonStyle("#e5e7eb", "#374151"),
+          marginBottom: "15px",
+          cursor: fetching ? "not-allowed" : "pointer",
+        }}
+      >
+        {fetching ? "Loading..." : "🔄 Reload from server"}
+      </button>
+
+      {message && (
+        <div
+          role={message.type === "error" ? "alert" : "status"}
+          style={{
+            padding: "10px",
+            marginBottom: "15px",
+            borderRadius: "5px",
+            color: message.type === "error" ? "#b91c1c" : "#047857",
+            backgroundColor: message.type === "error" ? "#fee" : "#d1fae5",
+          }}
+        >
+          {message.type === "error" ? "❌" : "✅"} {message.text}
+        </div>
+      )}
+
+      {loading && (
+        <div style={{ padding: "20px", textAlign: "center", color: COLOR }}>
+          ⏳ Loading posts...
+        </div>
+      )}
+
+      {!posts && (
+        <ErrorMessage error={error} onRetry={refetch} retrying={fetching} />
+      )}
+
+      {posts && posts.length === 0 && (
+        <p style={{ color: "#666" }}>
+          All posts deleted. Reload to get them back.
+        </p>
+      )}
+
+      <div style={{ display: "grid", gap: "15px" }}>
+        {posts?.map((post) => {
+          const pending = pendingIds.includes(post.id);
+
+          if (editingId === post.id) {
+            return (
+              <form
+                key={post.id}
+                noValidate
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  save(post, "put");
+                }}
+                style={{
+                  padding: "15px",
+                  backgroundColor: "#eef2ff",
+                  borderRadius: "8px",
+                }}
+              >
+                <div style={{ marginBottom: "10px" }}>
+                  <label
+                    htmlFor={`post-${post.id}-title`}
+                    style={{
+                      display: "block",
+                      marginBottom: "5px",
+                      fontWeight: "bold",
+                    }}
+                  >
+                    Title:
+                  </label>
+                  <input
+                    id={`post-${post.id}-title`}
+                    type="text"
+                    value={draft.title}
+                    onChange={(e) =>
+                      setDraft({ ...draft, title: e.target.value })
+                    }
+                    required
+                    aria-invalid={!!fieldErrors.title}
+                    aria-describedby={
+                      fieldErrors.title ? `post-${post.id}-title-error` : null
+                    }
+                    style={fieldStyle(fieldErrors.title)}
+                  />
+                  {fieldErrors.title && (
+                    <p
+                      id={`post-${post.id}-title-error`}
+                      style={{ color: "#ef4444", margin: "5px 0 0 0" }}
+                    >
+                      {fieldErrors.title}
+                    </p>
+                  )}
+                </div>
+
+                <div style={{ marginBottom: "10px" }}>
+                  <label
+                    htmlFor={`post-${post.id}-body`}
+                    style={{
+                      display: "block",
+                      marginBottom: "5px",
+                      fontWeight: "bold",
+                    }}
+                  >
+                    Body:
+                  </label>
+                  <textarea
+                    id={`post-${post.id}-body`}
+                    value={draft.body}
+                    onChange={(e) =>
+                      setDraft({ ...draft, body: e.target.value })
+                    }
+                    required
+                    rows="4"
+                    aria-invalid={!!fieldErrors.body}
+                    aria-describedby={
+                      fieldErrors.body ? `post-${post.id}-body-error` : null
+                    }
+                    style={fieldStyle(fieldErrors.body)}
+                  />
+                  {fieldErrors.body && (
+                    <p
+                      id={`post-${post.id}-body-error`}
+                      style={{ color: "#ef4444", margin: "5px 0 0 0" }}
+                    >
+                      {fieldErrors.body}
+                    </p>
+                  )}
+                </div>
+
+                <div style={{ display: "flex", gap: "10px", flexWrap: "wrap" }}>
+                  <button type="submit" style={buttonStyle(COLOR)}>
+                    💾 Save all (PUT)
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => save(post, "patch")}
+                    style={buttonStyle("#8b5cf6")}
+                  >
+                    ✏️ Save changes only (PATCH)
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(null)}
+                    style={buttonStyle("#e5e7eb", "#374151")}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            );
+          }
+
+          return (
+            <div
+              key={post.id}
+              style={{
+                padding: "15px",
+                backgroundColor: "#eef2ff",
+                borderRadius: "8px",
+                borderLeft: `4px solid ${COLOR}`,
+                opacity: pending ? 0.6 : 1,
+              }}
+            >
+              <h3 style={{ margin: "0 0 10px 0", color: COLOR }}>
+                {post.id}. {post.title}
+                {pending && (
+                  <span style={{ fontSize: "14px", color: "#666" }}>
+                    {" "}
+                    ⏳ saving...
+                  </span>
+                )}
+              </h3>
+              <p style={{ margin: "0 0 10px 0", color: "#666" }}>{post.body}</p>
+
+              {confirmingId === post.id ? (
+                <div
+                  style={{
+                    display: "flex",
+                    gap: "10px",
+                    alignItems: "center",
+                    flexWrap: "wrap",
+                  }}
+                >
+                  <strong style={{ color: "#b91c1c" }}>
+                    Delete post #{post.id}?
+                  </strong>
+                  <button
+                    onClick={() => remove(post)}
+                    style={buttonStyle("#ef4444")}
+                  >
+                    Yes, delete
+                  </button>
+                  <button
+                    onClick={() => setConfirmingId(null)}
+                    style={buttonStyle("#e5e7eb", "#374151")}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <div style={{ display: "flex", gap: "10px" }}>
+                  <button
+                    onClick={() => startEditing(post)}
+                    disabled={pending}
+                    style={buttonStyle(COLOR)}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => setConfirmingId(post.id)}
+                    disabled={pending}
+                    style={buttonStyle("#ef4444")}
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default ManagePosts;
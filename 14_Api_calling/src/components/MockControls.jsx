@@ -0,0 +1,122 @@
+import { useSyncExternalStore } from "react";
+import {
+  getMockSettings,
+  subscribeMockSettings,
+  updateMockSettings,
+} from "../api/mock/mockSettings";
+
+// Live / Mock switch for the header
+// Mock mode answers every request from src/api/mock/fixtures.js - the
+// examples work without internet. Latency and error injection let you
+// see the loading and error states on purpose.
+
+const ERROR_RATES = [0, 0.1, 0.25, 0.5, 1];
+const ERROR_KINDS = [
+  { value: "server", label: "500 Server Error" },
+  { value: "not-found", label: "404 Not Found" },
+  { value: "network", label: "Network error" },
+  { value: "timeout", label: "Timeout" },
+];
+
+const modeButton = (active) => ({
+  padding: "8px 16px",
+  backgroundColor: active ? "#3b82f6" : "#e5e7eb",
+  color: active ? "white" : "#374151",
+  border: "none",
+  cursor: "pointer",
+  fontWeight: "bold",
+  fontSize: "14px",
+});
+
+function MockControls() {
+  const settings = useSyncExternalStore(subscribeMockSettings, getMockSettings);
+
+  return (
+    <div
+      style={{
+        marginTop: "20px",
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "15px",
+        justifyContent: "center",
+        alignItems: "center",
+        fontSize: "14px",
+        color: "#374151",
+      }}
+    >
+      <div
+        role="group"
+        aria-label="API mode"
+        style={{ display: "flex", borderRadius: "8px", overflow: "hidden" }}
+      >
+        <button
+          onClick={() => updateMockSettings({ enabled: false })}
+          aria-pressed={!settings.enabled}
+          style={modeButton(!settings.enabled)}
+        >
+          🌐 Live API
+        </button>
+        <button
+          onClick={() => updateMockSettings({ enabled: true })}
+          aria-pressed={settings.enabled}
+          style={modeButton(settings.enabled)}
+        >
+          🧪 Mock API
+        </button>
+      </div>
+
+      {settings.enabled && (
+        <>
+          <label style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            Latency
+            <input
+              type="range"
+              min="0"
+              max="3000"
+              step="100"
+              value={settings.latency}
+              onChange={(e) =>
+                updateMockSettings({ latency: Number(e.target.value) })
+              }
+            />
+            <span style={{ minWidth: "60px" }}>{settings.latency} ms</span>
+          </label>
+
+          <label style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            Errors
+            <select
+              value={settings.errorRate}
+              onChange={(e) =>
+                updateMockSettings({ errorRate: Number(e.target.value) })
+              }
+              style={{ padding: "5px", borderRadius: "5px" }}
+            >
+              {ERROR_RATES.map((rate) => (
+                <option key={rate} value={rate}>
+                  {rate * 100}%
+                </option>
+              ))}
+            </select>
+            <select
+              value={settings.errorKind}
+              onChange={(e) =>
+                updateMockSettings({ errorKind: e.target.value })
+              }
+              disabled={settings.errorRate === 0}
+              aria-label="Error kind"
+              style={{ padding: "5px", borderRadius: "5px" }}
+            >
+              {ERROR_KINDS.map((kind) => (
+                <option key={kind.value} value={kind.value}>
+                  {kind.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MockControls;
@@ -0,0 +1,58 @@
+import { getPostComments, queryKeys } from "../api/queries";
+import { useQuery } from "../hooks/useQuery";
+import ErrorMessage from "./ErrorMessage";
+
+// Comment thread of one post - LAZY loaded
+// This component only mounts when the user opens the post, and useQuery
+// fetches on mount. So the comments of a post nobody opens are never
+// requested. Close and reopen it: the comments come from the cache.
+function PostComments({ postId }) {
+  const {
+    data: comments,
+    loading,
+    error,
+    fetching,
+    refetch,
+  } = useQuery(queryKeys.postComments(postId), (context) =>
+    getPostComments(postId, context)
+  );
+
+  if (loading) {
+    return <p style={{ color: "#666", margin: "5px 0" }}>⏳ Loading...</p>;
+  }
+
+  return (
+    <>
+      <ErrorMessage error={error} onRetry={refetch} retrying={fetching} />
+      {comments && comments.length === 0 && (
+        <p style={{ color: "#666", margin: "5px 0" }}>No comments yet.</p>
+      )}
+      {comments && comments.length > 0 && (
+        <ul style={{ listStyle: "none", padding: 0, margin: "5px 0" }}>
+          {comments.map((comment) => (
+            <li
+              key={comment.id}
+              style={{
+                padding: "8px 10px",
+                margin: "5px 0",
+                backgroundColor: "white",
+                borderRadius: "5px",
+                fontSize: "14px",
+              }}
+            >
+              <strong>{comment.name}</strong>
+              <div style={{ color: "#999", fontSize: "12px" }}>
+                {comment.email}
+              </div>
+              <p style={{ margin: "5px 0 0 0", color: "#666" }}>
+                {comment.body}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+export default PostComments;
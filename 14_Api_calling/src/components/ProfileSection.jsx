@@ -0,0 +1,64 @@
+import ErrorMessage from "./ErrorMessage";
+
+// Profile section - one box of the user profile (Example 3) with its
+// OWN loading and error state. If the todos fail, only the todos box
+// shows an error - the other sections don't care.
+//
+// Props:
+//   title    - heading, e.g. "📝 Posts"
+//   count    - shown next to the title once the data is there, optional
+//   waiting  - text shown while the section can't start yet (it needs
+//              data from another section first), optional
+//   loading  - true while there's no data yet
+//   error    - the section's error, or null
+//   onRetry  - called by ErrorMessage's "Try again" button
+//   retrying - true while the retry is running
+//   children - the content, once there is data
+
+const COLOR = "#f59e0b";
+
+function ProfileSection({
+  title,
+  count,
+  waiting,
+  loading,
+  error,
+  onRetry,
+  retrying,
+  children,
+}) {
+  return (
+    <section
+      aria-busy={loading}
+      style={{
+        padding: "15px",
+        backgroundColor: "#fffbeb",
+        borderRadius: "8px",
+        border: `1px solid ${COLOR}`,
+        minWidth: 0, // lets long content shrink inside the grid
+      }}
+    >
+      <h4 style={{ margin: "0 0 10px 0", color: COLOR }}>
+        {title}
+        {count !== undefined && (
+          <span style={{ color: "#666", fontWeight: "normal" }}>
+            {" "}
+            ({count})
+          </span>
+        )}
+      </h4>
+
+      {waiting && <p style={{ color: "#666", margin: 0 }}>{waiting}</p>}
+
+      {!waiting && loading && (
+        <p style={{ color: COLOR, margin: 0 }}>⏳ Loading...</p>
+      )}
+
+      <ErrorMessage error={error} onRetry={onRetry} retrying={retrying} />
+
+      {children}
+    </section>
+  );
+}
+
+export default ProfileSection;
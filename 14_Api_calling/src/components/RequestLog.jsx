@@ -0,0 +1,156 @@
+import { useState, useSyncExternalStore } from "react";
+import { clearEntries, getEntries, subscribe } from "../api/requestLog";
+
+// Request Log panel
+// Every call made through the shared API client shows up here - like a
+// mini Network tab. useSyncExternalStore lets React read a store that
+// lives OUTSIDE React (src/api/requestLog.js) and re-render when it changes.
+
+const STATE_COLORS = {
+  pending: "#f59e0b",
+  success: "#10b981",
+  error: "#ef4444",
+  cancelled: "#6b7280",
+};
+
+const statusLabel = (entry) => {
+  if (entry.state === "pending") return "⏳ pending";
+  if (entry.state === "cancelled") return "🚫 cancelled";
+  if (entry.status) return entry.status;
+  return entry.error; // no status: NetworkError, TimeoutError, ...
+};
+
+function RequestLog() {
+  const entries = useSyncExternalStore(subscribe, getEntries);
+  const [open, setOpen] = useState(true);
+
+  return (
+    <div
+      style={{
+        marginBottom: "30px",
+        padding: "20px",
+        backgroundColor: "white",
+        borderRadius: "12px",
+        boxShadow: "0 4px 6px rgba(0,0,0,0.1)",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: "10px",
+        }}
+      >
+        <h3 style={{ margin: 0, color: "#1f2937" }}>
+          📡 Request Log ({entries.length})
+        </h3>
+        <div style={{ display: "flex", gap: "10px" }}>
+          <button
+            onClick={clearEntries}
+            disabled={entries.length === 0}
+            style={{
+              padding: "6px 12px",
+              backgroundColor: "#e5e7eb",
+              color: "#374151",
+              border: "none",
+              borderRadius: "6px",
+              cursor: entries.length === 0 ? "not-allowed" : "pointer",
+            }}
+          >
+            Clear
+          </button>
+          <button
+            onClick={() => setOpen((value) => !value)}
+            aria-expanded={open}
+            style={{
+              padding: "6px 12px",
+              backgroundColor: "#e5e7eb",
+              color: "#374151",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+            }}
+          >
+            {open ? "Hide" : "Show"}
+          </button>
+        </div>
+      </div>
+
+      {open &&
+        (entries.length === 0 ? (
+          <p style={{ color: "#6b7280", margin: "15px 0 0 0" }}>
+            No requests yet - try one of the examples below.
+          </p>
+        ) : (
+          <div
+            style={{ maxHeight: "240px", overflow: "auto", marginTop: "15px" }}
+          >
+            <table
+              style={{
+                width: "100%",
+                borderCollapse: "collapse",
+                fontSize: "13px",
+                fontFamily: "monospace",
+              }}
+            >
+              <thead>
+                <tr style={{ textAlign: "left", color: "#6b7280" }}>
+                  <th style={{ padding: "6px" }}>Method</th>
+                  <th style={{ padding: "6px" }}>URL</th>
+                  <th style={{ padding: "6px" }}>Status</th>
+                  <th style={{ padding: "6px", textAlign: "right" }}>
+                    Duration
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={entry.id} style={{ borderTop: "1px solid #e5e7eb" }}>
+                    <td style={{ padding: "6px", fontWeight: "bold" }}>
+                      {entry.method}
+                      {entry.mocked && (
+                        <span title="Answered by the mock backend"> 🧪</span>
+                      )}
+                      {entry.attempt > 0 && (
+                        <span
+                          title="Automatic retry"
+                          style={{ color: "#6b7280" }}
+                        >
+                          {" "}
+                          ↻{entry.attempt}
+                        </span>
+                      )}
+                    </td>
+                    <td style={{ padding: "6px", wordBreak: "break-all" }}>
+                      {entry.url}
+                    </td>
+                    <td
+                      style={{
+                        padding: "6px",
+                        color: STATE_COLORS[entry.state],
+                        whiteSpace: "nowrap",
+                      }}
+                    >
+                      {statusLabel(entry)}
+                    </td>
+                    <td
+                      style={{
+                        padding: "6px",
+                        textAlign: "right",
+                        whiteSpace: "nowrap",
+                      }}
+                    >
+                      {entry.duration === null ? "-" : `${entry.duration} ms`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+    </div>
+  );
+}
+
+export default RequestLog;
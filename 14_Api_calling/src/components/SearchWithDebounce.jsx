@@ -1,113 +1,302 @@
-import { useState, useEffect } from "react";
-import axios from "axios";
+import { useEffect, useId, useState } from "react";
+import { queryKeys, searchUsers } from "../api/queries";
+import { useDebouncedCallback } from "../hooks/useDebounce";
+import { useQuery } from "../hooks/useQuery";
+import {
+  addToSearchHistory,
+  clearSearchHistory,
+  getSearchHistory,
+} from "../utils/searchHistory";
+import CacheBadge from "./CacheBadge";
+import ErrorMessage from "./ErrorMessage";
+
+// Example 4: Search with Debouncing - race-safe and cancellable
+// The server does the searching (?name_like=...). Typing fast is a race:
+//
+//   type "le"  → request A starts
+//   type "lea" → request B starts ... B answers ... A answers LAST
+//
+// If A simply called setResults(), the screen would show the results for
+// "le" under the search box saying "lea". Here that can't happen:
+// - every term has its own cache entry and the screen only reads the
+//   CURRENT term's entry - a late answer for "le" has nowhere to go
+// - a term nobody waits for any more has its request aborted (see
+//   subscribeQuery in queryCache.js) - it shows up as 🚫 in the Request Log
+//
+// The results are an accessible combobox: ↑ / ↓ to move, Enter to pick,
+// Escape to close. Screen readers announce the active option.
+
+const DEBOUNCE_MS = 500;
+const MIN_QUERY_LENGTH = 2;
+const COLOR = "#8b5cf6";
+
+// ↑ / ↓ through `count` options, wrapping around at both ends
+const moveIndex = (index, step, count) => {
+  if (index === -1) return step > 0 ? 0 : count - 1;
+  return (index + step + count) % count;
+};
 
-// Example 4: Search with Debouncing
 function SearchWithDebounce() {
-  const [searchTerm, setSearchTerm] = useState("");
-  const [results, setResults] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const [input, setInput] = useState(""); // what's in the box right now
+  const [query, setQuery] = useState(""); // what we search for (debounced)
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [history, setHistory] = useState(getSearchHistory);
+  const listboxId = useId();
+
+  // Called on every keystroke, but setQuery only runs after a pause
+  const updateQuery = useDebouncedCallback(setQuery, DEBOUNCE_MS);
+
+  const searching = query.length >= MIN_QUERY_LENGTH;
+  const { data, loading, fetching, error, cacheStatus, refetch } = useQuery(
+    queryKeys.userSearch(query),
+    (context) => searchUsers(query, context),
+    { enabled: searching }
+  );
+  const results = searching && data ? data : [];
+
+  // Too short to search → offer the recent searches instead
+  const showHistory = input.trim().length < MIN_QUERY_LENGTH;
+  const options = showHistory
+    ? history.map((term) => ({ type: "history", term }))
+    : results.map((user) => ({ type: "user", user }));
+  const expanded = open && options.length > 0;
+  // The list can shrink under the highlight (new results arrived)
+  const active = expanded && activeIndex < options.length ? activeIndex : -1;
+  const optionId = (index) => `${listboxId}-option-${index}`;
 
+  // Keep the highlighted option visible in the scrollable list
   useEffect(() => {
-    // Debouncing: Wait for user to stop typing before searching
-    const delayDebounce = setTimeout(() => {
-      if (searchTerm.trim()) {
-        searchUsers(searchTerm);
-      } else {
-        setResults([]);
+    if (active === -1) return;
+    document
+      .getElementById(`${listboxId}-option-${active}`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [active, listboxId]);
+
+  const searchNow = (term) => {
+    updateQuery.cancel();
+    setQuery(term);
+    setHistory(addToSearchHistory(term));
+  };
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    setInput(value);
+    setOpen(true);
+    setActiveIndex(-1);
+
+    const term = value.trim();
+    if (term.length < MIN_QUERY_LENGTH) {
+      // Nothing to search for - no need to wait
+      updateQuery.cancel();
+      setQuery("");
+    } else {
+      updateQuery(term);
+    }
+  };
+
+  const choose = (option) => {
+    setActiveIndex(-1);
+    if (option.type === "history") {
+      // A recent search → run it again right away
+      setInput(option.term);
+      searchNow(option.term);
+      return;
+    }
+    setSelectedUser(option.user);
+    setHistory(addToSearchHistory(query));
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault(); // don't move the text cursor
+      setOpen(true);
+      if (options.length === 0) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveIndex(moveIndex(active, step, options.length));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (active !== -1) {
+        choose(options[active]);
+      } else if (!showHistory) {
+        searchNow(input.trim()); // Enter = don't wait for the debounce
       }
-    }, 500); // Wait 500ms after user stops typing
-
-    // Cleanup function - cancels the previous timeout
-    return () => clearTimeout(delayDebounce);
-  }, [searchTerm]);
-
-  const searchUsers = async (query) => {
-    setLoading(true);
-    try {
-      const response = await axios.get(
-        "https://jsonplaceholder.typicode.com/users"
-      );
-      const filtered = response.data.filter(
-        (user) =>
-          user.name.toLowerCase().includes(query.toLowerCase()) ||
-          user.email.toLowerCase().includes(query.toLowerCase())
-      );
-      setResults(filtered);
-    } catch (error) {
-      console.error("Search error:", error);
-    } finally {
-      setLoading(false);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      setActiveIndex(-1);
     }
   };
 
+  // What a screen reader should hear about the search right now
+  let status = "";
+  if (input.trim() && showHistory) {
+    status = `Type at least ${MIN_QUERY_LENGTH} characters to search`;
+  } else if (searching && loading) {
+    status = "🔄 Searching...";
+  } else if (searching && !error && data) {
+    status =
+      results.length === 0
+        ? `No users found matching "${query}"`
+        : `Found ${results.length} result(s) - use ↑ / ↓ and Enter to pick one`;
+  }
+
   return (
     <div
       style={{
         padding: "20px",
-        border: "2px solid #8b5cf6",
+        border: `2px solid ${COLOR}`,
         borderRadius: "8px",
         marginBottom: "20px",
       }}
     >
       <h2>🔍 Example 4: Search with Debouncing</h2>
       <p style={{ color: "#666" }}>
-        Search waits 500ms after you stop typing (performance optimization)
+        Search waits {DEBOUNCE_MS}ms after you stop typing (performance
+        optimization). An older request still on its way is cancelled.
+      </p>
+      <p style={{ color: "#666", fontSize: "14px" }}>
+        💡 Switch to <strong>🧪 Mock API</strong>, set a long latency and keep
+        typing - watch the cancelled requests in the Request Log.
       </p>
 
-      <input
-        type="text"
-        placeholder="Search users by name or email..."
-        value={searchTerm}
-        onChange={(e) => setSearchTerm(e.target.value)}
-        style={{
-          width: "100%",
-          padding: "12px",
-          fontSize: "16px",
-          border: "2px solid #8b5cf6",
-          borderRadius: "8px",
-          marginBottom: "15px",
-          boxSizing: "border-box",
-        }}
+      <label
+        htmlFor={`${listboxId}-input`}
+        style={{ display: "block", marginBottom: "5px", fontWeight: "bold" }}
+      >
+        Search users by name:
+      </label>
+      <div style={{ position: "relative", marginBottom: "15px" }}>
+        <input
+          id={`${listboxId}-input`}
+          type="text"
+          placeholder={`At least ${MIN_QUERY_LENGTH} characters, e.g. "le"`}
+          value={input}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          role="combobox"
+          aria-expanded={expanded}
+          aria-controls={listboxId}
+          aria-autocomplete="list"
+          aria-activedescendant={active !== -1 ? optionId(active) : undefined}
+          autoComplete="off"
+          style={{
+            width: "100%",
+            padding: "12px",
+            fontSize: "16px",
+            border: `2px solid ${COLOR}`,
+            borderRadius: "8px",
+            boxSizing: "border-box",
+          }}
+        />
+
+        {/* The popup - always in the DOM so aria-controls points somewhere */}
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label={showHistory ? "Recent searches" : "Users"}
+          hidden={!expanded}
+          style={{
+            position: "absolute",
+            top: "100%",
+            left: 0,
+            right: 0,
+            zIndex: 10,
+            maxHeight: "300px",
+            overflowY: "auto",
+            margin: "4px 0 0 0",
+            padding: "5px",
+            listStyle: "none",
+            backgroundColor: "white",
+            border: `1px solid ${COLOR}`,
+            borderRadius: "8px",
+            boxShadow: "0 4px 6px rgba(0,0,0,0.1)",
+          }}
+        >
+          {options.map((option, index) => (
+            <li
+              key={option.type === "user" ? option.user.id : option.term}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === active}
+              // preventDefault keeps the focus in the input (no blur)
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(option)}
+              onMouseEnter={() => setActiveIndex(index)}
+              style={{
+                padding: "10px 15px",
+                borderRadius: "6px",
+                cursor: "pointer",
+                backgroundColor: index === active ? "#ede9fe" : "transparent",
+              }}
+            >
+              {option.type === "history" ? (
+                <span style={{ color: "#666" }}>🕘 {option.term}</span>
+              ) : (
+                <>
+                  <div style={{ fontWeight: "bold", color: COLOR }}>
+                    {option.user.name}
+                  </div>
+                  <div style={{ color: "#666", fontSize: "14px" }}>
+                    {option.user.email}
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <CacheBadge status={searching ? cacheStatus : null} fetching={fetching} />
+
+      <ErrorMessage
+        error={searching ? error : null}
+        onRetry={refetch}
+        retrying={fetching}
       />
 
-      {loading && (
-        <div style={{ textAlign: "center", color: "#8b5cf6", padding: "10px" }}>
-          🔄 Searching...
-        </div>
-      )}
+      <p
+        role="status"
+        style={{ color: COLOR, fontWeight: "bold", minHeight: "1.5em" }}
+      >
+        {status}
+      </p>
 
-      {searchTerm && !loading && results.length === 0 && (
-        <div style={{ textAlign: "center", color: "#666", padding: "20px" }}>
-          No users found matching "{searchTerm}"
-        </div>
+      {history.length > 0 && (
+        <button
+          onClick={() => setHistory(clearSearchHistory())}
+          style={{
+            padding: "6px 12px",
+            backgroundColor: "#e5e7eb",
+            color: "#374151",
+            border: "none",
+            borderRadius: "5px",
+            cursor: "pointer",
+            marginBottom: "15px",
+          }}
+        >
+          🗑️ Clear recent searches ({history.length})
+        </button>
       )}
 
-      {results.length > 0 && (
-        <div>
-          <p style={{ color: "#8b5cf6", fontWeight: "bold" }}>
-            Found {results.length} result(s):
-          </p>
-          <ul style={{ listStyle: "none", padding: 0 }}>
-            {results.map((user) => (
-              <li
-                key={user.id}
-                style={{
-                  padding: "15px",
-                  backgroundColor: "#faf5ff",
-                  margin: "8px 0",
-                  borderRadius: "8px",
-                  borderLeft: "4px solid #8b5cf6",
-                }}
-              >
-                <div style={{ fontWeight: "bold", color: "#8b5cf6" }}>
-                  {user.name}
-                </div>
-                <div style={{ color: "#666", fontSize: "14px" }}>
-                  {user.email}
-                </div>
-              </li>
-            ))}
-          </ul>
+      {selectedUser && (
+        <div
+          style={{
+            padding: "15px",
+            backgroundColor: "#faf5ff",
+            borderRadius: "8px",
+            borderLeft: `4px solid ${COLOR}`,
+          }}
+        >
+          <div style={{ fontWeight: "bold", color: COLOR }}>
+            ✅ Selected: {selectedUser.name}
+          </div>
+          <div style={{ color: "#666", fontSize: "14px" }}>
+            📧 {selectedUser.email} · 🏢 {selectedUser.company?.name}
+          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,141 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+
+// Virtual list - "windowing"
+// A list of 5,000 rows means 5,000 DOM nodes: slow to render, slow to
+// scroll. But only ~10 of them fit on screen at once! So:
+//
+//   ┌──────────────────────┐ ← the scroll container (fixed height)
+//   │  row 41              │
+//   │  row 42   ← only these rows (+ a few extra, "overscan")
+//   │  row 43     are really rendered
+//   └──────────────────────┘
+//     (an empty div as tall as ALL rows keeps the scrollbar right)
+//
+// Every row has the same height, so the visible rows are just math:
+//   first = scrollTop / rowHeight
+//
+// Two extras:
+// - infinite scroll: an invisible "sentinel" div sits below the last row.
+//   An IntersectionObserver calls onEndReached() when it gets close to
+//   the screen - no scroll math needed
+// - scroll restoration: the position is remembered per scrollKey, so
+//   leaving the tab and coming back puts you where you were
+//
+// Props:
+//   items        - the whole list
+//   rowHeight    - height of every row in px
+//   height       - height of the scroll container in px
+//   renderRow    - (item, index) => JSX
+//   getKey       - (item) => a unique key
+//   onEndReached - called when the user scrolls near the end, optional
+//   canLoadMore  - false stops onEndReached (nothing left, or loading)
+//   scrollKey    - remember the scroll position under this name, optional
+//   footer       - shown below the rows ("Loading more...", ...)
+//   label        - accessible name for the list
+
+const OVERSCAN = 5; // rows rendered above and below the visible ones
+
+// Outside the component → survives unmounting (e.g. switching tabs)
+const scrollPositions = new Map();
+
+function VirtualList({
+  items,
+  rowHeight,
+  height,
+  renderRow,
+  getKey,
+  onEndReached,
+  canLoadMore = false,
+  scrollKey,
+  footer,
+  label,
+}) {
+  const containerRef = useRef(null);
+  const sentinelRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(
+    () => scrollPositions.get(scrollKey) || 0
+  );
+
+  // Back on the tab → scroll to where we left. A layout effect runs
+  // before the browser paints, so the list never flashes at the top
+  useLayoutEffect(() => {
+    containerRef.current.scrollTop = scrollPositions.get(scrollKey) || 0;
+  }, [scrollKey]);
+
+  const handleScroll = (e) => {
+    const top = e.currentTarget.scrollTop;
+    if (scrollKey) scrollPositions.set(scrollKey, top);
+    setScrollTop(top);
+  };
+
+  // Latest onEndReached without re-creating the observer
+  const onEndReachedRef = useRef(onEndReached);
+  useEffect(() => {
+    onEndReachedRef.current = onEndReached;
+  });
+
+  // A new observer whenever the list grows: it reports right away, so a
+  // sentinel that's STILL visible after a page loaded loads one more
+  useEffect(() => {
+    if (!canLoadMore || !onEndReachedRef.current) return;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) onEndReachedRef.current();
+      },
+      // Start loading one screen BEFORE the user hits the bottom
+      { root: containerRef.current, rootMargin: `0px 0px ${height}px 0px` }
+    );
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [canLoadMore, items.length, height]);
+
+  // The window: which rows are (almost) on screen?
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+  const last = Math.min(
+    items.length,
+    Math.ceil((scrollTop + height) / rowHeight) + OVERSCAN
+  );
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={handleScroll}
+      tabIndex={0} // lets keyboard users scroll with the arrow keys
+      role="list"
+      aria-label={label}
+      style={{
+        height: `${height}px`,
+        overflowY: "auto",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+      }}
+    >
+      <div style={{ position: "relative", height: items.length * rowHeight }}>
+        {items.slice(first, last).map((item, i) => (
+          <div
+            key={getKey(item)}
+            role="listitem"
+            // Screen readers only see the rendered rows - tell them the
+            // row's place in the WHOLE list
+            aria-setsize={items.length}
+            aria-posinset={first + i + 1}
+            style={{
+              position: "absolute",
+              top: (first + i) * rowHeight,
+              left: 0,
+              right: 0,
+              height: rowHeight,
+            }}
+          >
+            {renderRow(item, first + i)}
+          </div>
+        ))}
+      </div>
+
+      <div ref={sentinelRef} style={{ height: "1px" }} />
+      {footer}
+    </div>
+  );
+}
+
+export default VirtualList;
@@ -0,0 +1,55 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+
+// Debounce hooks - wait until the user STOPS doing something
+//
+//   l → le → lea → lean ...(500ms of quiet)... → search "lean"
+//
+// Two flavors of the same idea:
+//
+// useDebouncedValue(value, delay) → a copy of `value` that only changes
+// once `value` has stayed the same for `delay` ms:
+//
+//   const debouncedTerm = useDebouncedValue(searchTerm, 500);
+//
+// useDebouncedCallback(fn, delay) → a function that runs `fn` only after
+// it hasn't been called for `delay` ms - with the LAST arguments:
+//
+//   const search = useDebouncedCallback((term) => setQuery(term), 500);
+//   search("lean");  // runs in 500ms, unless search() is called again
+//   search.cancel(); // forget the call that's waiting
+//
+// A call that's still waiting when the component unmounts is dropped.
+
+export const useDebouncedValue = (value, delay) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    // `value` changed again before the timer fired → start over
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+export const useDebouncedCallback = (callback, delay) => {
+  // Latest callback without re-creating the debounced function
+  const callbackRef = useRef(callback);
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  const debounced = useMemo(() => {
+    let timer;
+    const run = (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => callbackRef.current(...args), delay);
+    };
+    run.cancel = () => clearTimeout(timer);
+    return run;
+  }, [delay]);
+
+  useEffect(() => debounced.cancel, [debounced]);
+
+  return debounced;
+};
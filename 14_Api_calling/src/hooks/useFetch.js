@@ -0,0 +1,51 @@
+import { api } from "../api/client";
+import { useQuery } from "./useQuery";
+
+// Custom hook: useFetch(url, options)
+// GET `url` (a path like "/posts/1" - the shared api client adds the
+// base URL) whenever it changes and track the request's state:
+//
+//   const { data, loading, error, status, refetch } = useFetch(url);
+//
+// - data        → the response body (kept while a refetch is loading)
+// - loading     → true while there's no data yet and a request is running
+// - error       → an ApiError (HttpError / NetworkError / TimeoutError) or null
+// - status      → the HTTP status of the last response (200, 404, ...) or null
+// - refetch     → call it to run the same request again
+// - cacheStatus → "hit" / "stale" / "miss" (see useQuery.js)
+// - fetching    → true while any request runs, including background ones
+//
+// Responses are cached by url + params, so remounting a component (or
+// two components asking for the same url) doesn't refetch from scratch.
+// Cancelling the old request when the url changes is handled by the
+// cache too: a key nobody watches any more has its request aborted.
+//
+// options:
+// - enabled → false to skip fetching (e.g. until the user picks something)
+// - staleTime / cacheTime → see src/api/queryCache.js
+// - any axios config (params, headers, timeout, ...). `params` are part
+//   of the cache key; the rest is read when a request starts
+export const useFetch = (url, options = {}) => {
+  const { enabled = true, staleTime, cacheTime, ...config } = options;
+
+  const query = useQuery(
+    ["fetch", url, config.params ?? null],
+    // Cache the status too, not just the body
+    ({ signal }) =>
+      api.get(url, { ...config, signal }).then((response) => ({
+        body: response.data,
+        status: response.status,
+      })),
+    { enabled: enabled && !!url, staleTime, cacheTime }
+  );
+
+  return {
+    data: query.data ? query.data.body : null,
+    loading: query.loading,
+    error: query.error,
+    status: query.error ? query.error.status : (query.data?.status ?? null),
+    refetch: query.refetch,
+    cacheStatus: query.cacheStatus,
+    fetching: query.fetching,
+  };
+};
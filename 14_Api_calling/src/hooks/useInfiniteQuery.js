@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { isCancelled } from "../api/errors";
+import { getQueryData, setQueryData } from "../api/queryCache";
+import { useQuery } from "./useQuery";
+
+// Custom hook: useInfiniteQuery(key, fetchPage, options)
+// Load a long list page by page - for "load more" buttons and infinite
+// scroll:
+//
+//   const { items, hasNextPage, fetchNextPage } = useInfiniteQuery(
+//     ["posts", "pages", 20],
+//     (page, { signal }) => getPostsPage(page, 20, { signal }),
+//     { pageSize: 20 }
+//   );
+//
+// All pages live in ONE cache entry: { pages: [[...], [...]], nextPage }.
+// So switching tabs and coming back shows every page loaded so far -
+// not just the first one.
+//
+// - items            → all loaded pages, flattened into one array
+// - hasNextPage      → false once a page comes back shorter than pageSize
+// - fetchNextPage    → load the next page (does nothing while one loads)
+// - fetchingNextPage → true while the next page is loading
+// - nextPageError    → why the last fetchNextPage() failed, or null
+// - ...and everything useQuery returns (loading, error, refetch, ...)
+//
+// options: { pageSize, staleTime, cacheTime }
+
+// A full page means there might be more - a short one was the last
+const nextPageAfter = (items, page, pageSize) =>
+  items.length === pageSize ? page + 1 : null;
+
+export const useInfiniteQuery = (key, fetchPage, options = {}) => {
+  const { pageSize, staleTime, cacheTime } = options;
+
+  const hash = JSON.stringify(key);
+  const queryKey = useMemo(() => JSON.parse(hash), [hash]);
+
+  const fetchPageRef = useRef(fetchPage);
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  });
+
+  // The first load fetches page 1. A refetch (invalidate, focus, ...)
+  // reloads EVERY page already on screen, so the user isn't thrown back
+  // to the top of the list. The pages are independent → in parallel.
+  const query = useQuery(
+    queryKey,
+    async ({ signal }) => {
+      const loaded = getQueryData(queryKey)?.pages.length || 1;
+      const pages = await Promise.all(
+        Array.from({ length: loaded }, (_, i) =>
+          fetchPageRef.current(i + 1, { signal })
+        )
+      );
+      // A fetchNextPage() may have appended pages while this ran - read
+      // the cache again NOW and keep them, or they would be thrown away
+      const cached = getQueryData(queryKey)?.pages || [];
+      const all = [...pages, ...cached.slice(loaded)];
+      return {
+        pages: all,
+        nextPage: nextPageAfter(all[all.length - 1], all.length, pageSize),
+      };
+    },
+    { staleTime, cacheTime }
+  );
+
+  const [nextPageState, setNextPageState] = useState({
+    fetching: false,
+    error: null,
+  });
+  const controllerRef = useRef(null); // the next-page request in flight
+
+  const fetchNextPage = useCallback(async () => {
+    const page = getQueryData(queryKey)?.nextPage;
+    if (!page || controllerRef.current) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setNextPageState({ fetching: true, error: null });
+    try {
+      const items = await fetchPageRef.current(page, {
+        signal: controller.signal,
+      });
+      // Append the page to whatever is cached right now
+      setQueryData(queryKey, (data) =>
+        data
+          ? {
+              pages: [...data.pages, items],
+              nextPage: nextPageAfter(items, data.pages.length + 1, pageSize),
+            }
+          : data
+      );
+      setNextPageState({ fetching: false, error: null });
+    } catch (error) {
+      // Cancelled on purpose - that's not an error to show
+      setNextPageState({
+        fetching: false,
+        error: isCancelled(error) ? null : error,
+      });
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  }, [queryKey, pageSize]);
+
+  // Unmounted (or a new key) → nobody wants that page any more
+  useEffect(
+    () => () => {
+      controllerRef.current?.abort();
+      controllerRef.current = null;
+    },
+    [queryKey]
+  );
+
+  const items = useMemo(
+    () => (query.data ? query.data.pages.flat() : []),
+    [query.data]
+  );
+
+  return {
+    ...query,
+    items,
+    hasNextPage: !!query.data?.nextPage,
+    fetchNextPage,
+    fetchingNextPage: nextPageState.fetching,
+    nextPageError: nextPageState.error,
+  };
+};
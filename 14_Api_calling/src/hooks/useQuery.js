@@ -0,0 +1,92 @@
+import {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import {
+  fetchQuery,
+  getQueryState,
+  getQueryStatus,
+  invalidateQueries,
+  refetchQuery,
+  subscribeQuery,
+} from "../api/queryCache";
+
+// Custom hook: useQuery(key, queryFn, options)
+// Read `key` from the query cache and fetch it with queryFn when needed:
+//
+//   const { data, loading, error, cacheStatus } = useQuery(
+//     ["users", userId],
+//     ({ signal }) => api.get(`/users/${userId}`, { signal }).then((r) => r.data)
+//   );
+//
+// - data        → the cached data (stays while a refetch is running)
+// - loading     → true while there's NO data yet and a request is running
+// - fetching    → true while ANY request for this key is running,
+//                 including background revalidation
+// - error       → the last error, or null
+// - cacheStatus → how the data was found when this key was first asked
+//                 for: "hit" (fresh), "stale" (shown, then refetched) or
+//                 "miss" (nothing cached)
+// - updatedAt   → when the data was fetched (ms timestamp) or 0
+// - refetch     → fetch again now
+// - invalidate  → mark this key stale and refetch it
+//
+// options: { enabled, staleTime, cacheTime } - see src/api/queryCache.js
+export const useQuery = (key, queryFn, options = {}) => {
+  const { enabled = true, staleTime, cacheTime } = options;
+
+  // A new array every render, same contents → the same stable key
+  const hash = JSON.stringify(key);
+  const queryKey = useMemo(() => JSON.parse(hash), [hash]);
+
+  // Latest queryFn without making the effect depend on it
+  const queryFnRef = useRef(queryFn);
+  useEffect(() => {
+    queryFnRef.current = queryFn;
+  });
+
+  const subscribe = useCallback(
+    (listener) => subscribeQuery(queryKey, listener),
+    [queryKey]
+  );
+  const state = useSyncExternalStore(subscribe, () => getQueryState(queryKey));
+
+  // Remember hit / stale / miss from the moment this key was asked for
+  // (adjusted during render when the key changes - no extra effect needed)
+  const [lookup, setLookup] = useState(() => ({
+    hash,
+    status: getQueryStatus(queryKey, staleTime),
+  }));
+  if (lookup.hash !== hash) {
+    setLookup({ hash, status: getQueryStatus(queryKey, staleTime) });
+  }
+
+  useEffect(() => {
+    if (!enabled) return;
+    const queryFn = (context) => queryFnRef.current(context);
+    // Errors are in `state.error` - nothing to do with them here
+    fetchQuery(queryKey, queryFn, { staleTime, cacheTime }).catch(() => {});
+  }, [queryKey, enabled, staleTime, cacheTime]);
+
+  const refetch = useCallback(
+    () => refetchQuery(queryKey).catch(() => {}),
+    [queryKey]
+  );
+  const invalidate = useCallback(() => invalidateQueries(queryKey), [queryKey]);
+
+  const hasData = state.updatedAt > 0;
+  return {
+    data: state.data,
+    loading: enabled && !hasData && (state.fetching || !state.error),
+    fetching: state.fetching,
+    error: state.error,
+    cacheStatus: lookup.status,
+    updatedAt: state.updatedAt,
+    refetch,
+    invalidate,
+  };
+};
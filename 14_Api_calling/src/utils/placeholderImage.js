@@ -0,0 +1,37 @@
+// Text put into SVG markup must be XML-escaped: an author like
+// "Tom & Jerry" would break the image, and a '"' could add attributes
+const XML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+// A placeholder image drawn as an SVG data URL
+// Nothing is downloaded, so it works offline and can't break when an
+// image host goes away (like via.placeholder.com did):
+//
+//   <img src={placeholderImage({ width: 150, height: 150, fill: "#92c952" })} />
+export const placeholderImage = ({ width, height, fill, label = "" }) => {
+  const fontSize = Math.round(Math.min(width, height) / 8);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+<rect width="100%" height="100%" fill="${escapeXml(fill)}"/>
+<text x="50%" y="50%" fill="white" font-family="sans-serif" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">${escapeXml(label)}</text>
+</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+};
+
+// JSONPlaceholder's /photos still hand out via.placeholder.com URLs,
+// which end in a size and a color: https://via.placeholder.com/150/92c952
+// Draws that same image here instead. Other URLs are returned as they are
+export const placeholderFromUrl = (url) => {
+  const match = /^https?:\/\/via\.placeholder\.com\/(\d+)\/([0-9a-f]{6})/i.exec(
+    url
+  );
+  if (!match) return url;
+  const size = Number(match[1]);
+  return placeholderImage({ width: size, height: size, fill: `#${match[2]}` });
+};
@@ -0,0 +1,38 @@
+// Recent searches - the last few search terms, saved in localStorage
+// Newest first, no duplicates:
+//
+//   addToSearchHistory("lean") → ["lean", "ervin", "clem"]
+
+const STORAGE_KEY = "api-calling-search-history";
+const MAX_ENTRIES = 5;
+
+export const getSearchHistory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+const save = (history) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch {
+    // Storage full or blocked - the history just isn't remembered
+  }
+  return history;
+};
+
+// Returns the new history
+export const addToSearchHistory = (term) =>
+  save(
+    [
+      term,
+      ...getSearchHistory().filter(
+        (entry) => entry.toLowerCase() !== term.toLowerCase()
+      ),
+    ].slice(0, MAX_ENTRIES)
+  );
+
+export const clearSearchHistory = () => save([]);
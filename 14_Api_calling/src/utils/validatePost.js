@@ -0,0 +1,12 @@
+// Client-side validation for a post
+// The same rules as the `required` attributes in CreateData - title and
+// body can't be empty - but with our own messages next to each field.
+// Returns {} when everything is fine:
+//
+//   validatePost({ title: "", body: "Hi" }) → { title: "Title is required" }
+export const validatePost = ({ title, body }) => {
+  const errors = {};
+  if (!title.trim()) errors.title = "Title is required";
+  if (!body.trim()) errors.body = "Body is required";
+  return errors;
+};
@@ -4,6 +4,7 @@ import FetchDataExample from "./examples/FetchDataExample";
 import LocalStorageExample from "./examples/LocalStorageExample";
 import DocumentTitleExample from "./examples/DocumentTitleExample";
 import DebounceSearchExample from "./examples/DebounceSearchExample";
+import ApiModeToggle from "./components/ApiModeToggle";
 
 /**
  * All useEffect Examples in One Place
@@ -38,6 +39,8 @@ function AllExamples() {
         <p style={{ fontSize: "18px", margin: 0 }}>
           Interactive Examples - From Beginner to Advanced
         </p>
+        {/* No internet? The fetch examples can use a mock API */}
+        <ApiModeToggle />
       </header>
 
       <div
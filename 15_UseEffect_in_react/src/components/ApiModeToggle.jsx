@@ -0,0 +1,101 @@
+import { useSyncExternalStore } from "react";
+import {
+  getMockSettings,
+  subscribeMockSettings,
+  updateMockSettings,
+} from "../utils/mockApi";
+
+/**
+ * API Mode Toggle - switch the fetch examples between live and mock
+ *
+ * Mock mode answers from src/utils/mockData.js, so the examples work
+ * offline. Turn up the latency or the error rate to watch the loading
+ * and error states.
+ */
+
+const ERROR_RATES = [0, 0.25, 0.5, 1];
+
+const controlStyle = {
+  padding: "5px 8px",
+  borderRadius: "5px",
+  border: "none",
+  fontSize: "14px",
+};
+
+function ApiModeToggle() {
+  const settings = useSyncExternalStore(subscribeMockSettings, getMockSettings);
+
+  return (
+    <div
+      style={{
+        marginTop: "20px",
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "15px",
+        justifyContent: "center",
+        alignItems: "center",
+        fontSize: "14px",
+      }}
+    >
+      <label style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => updateMockSettings({ enabled: e.target.checked })}
+        />
+        {settings.enabled ? "🧪 Mock API (offline)" : "🌐 Live API"}
+      </label>
+
+      {settings.enabled && (
+        <>
+          <label style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            Latency
+            <input
+              type="range"
+              min="0"
+              max="3000"
+              step="100"
+              value={settings.latency}
+              onChange={(e) =>
+                updateMockSettings({ latency: Number(e.target.value) })
+              }
+            />
+            <span style={{ minWidth: "60px" }}>{settings.latency} ms</span>
+          </label>
+
+          <label style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+            Errors
+            <select
+              value={settings.errorRate}
+              onChange={(e) =>
+                updateMockSettings({ errorRate: Number(e.target.value) })
+              }
+              style={controlStyle}
+            >
+              {ERROR_RATES.map((rate) => (
+                <option key={rate} value={rate}>
+                  {rate * 100}%
+                </option>
+              ))}
+            </select>
+            <select
+              value={settings.errorKind}
+              onChange={(e) =>
+                updateMockSettings({ errorKind: e.target.value })
+              }
+              disabled={settings.errorRate === 0}
+              aria-label="Error kind"
+              style={controlStyle}
+            >
+              <option value="server">500 Server Error</option>
+              <option value="not-found">404 Not Found</option>
+              <option value="network">Network error</option>
+            </select>
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ApiModeToggle;
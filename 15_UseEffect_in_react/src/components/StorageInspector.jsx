@@ -0,0 +1,214 @@
+import { useState, useEffect } from "react";
+import {
+  NAMESPACE,
+  listEntries,
+  removeItem,
+  setItem,
+  subscribe,
+} from "../utils/appStorage";
+
+/**
+ * Storage Inspector - a mini DevTools panel for the app's own keys
+ *
+ * What you'll learn:
+ * - Re-reading external data on an interval AND on change events
+ * - Cleaning up both in one effect
+ * - Editing JSON safely (parse first, only save if it's valid)
+ */
+
+// 75000 → "1m 15s"
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+const cellStyle = {
+  padding: "6px 8px",
+  borderBottom: "1px solid #ecf0f1",
+  textAlign: "left",
+  verticalAlign: "top",
+};
+
+const smallButton = {
+  padding: "2px 8px",
+  marginRight: "4px",
+  fontSize: "12px",
+  borderRadius: "4px",
+  border: "1px solid #bdc3c7",
+  backgroundColor: "white",
+  cursor: "pointer",
+};
+
+function StorageInspector() {
+  const [entries, setEntries] = useState(listEntries);
+  const [now, setNow] = useState(Date.now);
+
+  // The entry being edited: { key, text, expiresAt, error } or null
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => {
+      setEntries(listEntries()); // also removes entries that just expired
+      setNow(Date.now());
+    };
+
+    // Tick every second so ages and countdowns stay live
+    const interval = setInterval(refresh, 1000);
+    // ...and refresh right away when anything in the app writes
+    const unsubscribe = subscribe(refresh);
+
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+    };
+  }, []);
+
+  const startEditing = (entry) => {
+    setEditing({
+      key: entry.key,
+      text: JSON.stringify(entry.value),
+      expiresAt: entry.expiresAt,
+      error: null,
+    });
+  };
+
+  const saveEdit = () => {
+    let value;
+    try {
+      value = JSON.parse(editing.text);
+    } catch {
+      setEditing({ ...editing, error: "Not valid JSON - strings need quotes" });
+      return;
+    }
+    // Keep the entry's original expiry time
+    setItem(editing.key, value, { expiresAt: editing.expiresAt });
+    setEditing(null);
+  };
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  return (
+    <div
+      style={{
+        marginTop: "20px",
+        padding: "10px",
+        border: "1px dashed #1abc9c",
+        borderRadius: "5px",
+      }}
+    >
+      <h3 style={{ marginTop: 0 }}>🔍 Storage Inspector</h3>
+      <p style={{ fontSize: "13px", color: "#7f8c8d" }}>
+        Keys starting with <code>{NAMESPACE}</code> · {entries.length} entries ·{" "}
+        {totalSize} bytes
+      </p>
+
+      {entries.length === 0 ? (
+        <p style={{ fontSize: "14px", color: "#7f8c8d" }}>Nothing saved.</p>
+      ) : (
+        <table
+          style={{
+            width: "100%",
+            borderCollapse: "collapse",
+            fontSize: "13px",
+          }}
+        >
+          <thead>
+            <tr>
+              <th style={cellStyle}>Key</th>
+              <th style={cellStyle}>Value</th>
+              <th style={cellStyle}>Size</th>
+              <th style={cellStyle}>Age</th>
+              <th style={cellStyle}>Expires</th>
+              <th style={cellStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry.key}>
+                <td style={cellStyle}>
+                  <code>{entry.key}</code>
+                </td>
+                <td style={cellStyle}>
+                  {editing?.key === entry.key ? (
+                    <>
+                      <input
+                        value={editing.text}
+                        onChange={(e) =>
+                          setEditing({
+                            ...editing,
+                            text: e.target.value,
+                            error: null,
+                          })
+                        }
+                        onKeyDown={(e) => e.key === "Enter" && saveEdit()}
+                        style={{ width: "100%", fontFamily: "monospace" }}
+                        aria-invalid={editing.error ? "true" : "false"}
+                      />
+                      {editing.error && (
+                        <div style={{ color: "#e74c3c" }}>{editing.error}</div>
+                      )}
+                    </>
+                  ) : entry.corrupted ? (
+                    <span style={{ color: "#e74c3c" }}>
+                      ⚠️ unreadable: <code>{entry.value}</code>
+                    </span>
+                  ) : (
+                    <code style={{ wordBreak: "break-all" }}>
+                      {JSON.stringify(entry.value)}
+                    </code>
+                  )}
+                </td>
+                <td style={cellStyle}>{entry.size} B</td>
+                <td style={cellStyle}>
+                  {entry.savedAt ? formatDuration(now - entry.savedAt) : "?"}
+                </td>
+                <td style={cellStyle}>
+                  {entry.expiresAt
+                    ? `in ${formatDuration(entry.expiresAt - now)}`
+                    : "never"}
+                </td>
+                <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                  {editing?.key === entry.key ? (
+                    <>
+                      <button onClick={saveEdit} style={smallButton}>
+                        Save
+                      </button>
+                      <button
+                        onClick={() => setEditing(null)}
+                        style={smallButton}
+                      >
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => startEditing(entry)}
+                        style={smallButton}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => removeItem(entry.key)}
+                        style={{ ...smallButton, color: "#e74c3c" }}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default StorageInspector;
@@ -0,0 +1,101 @@
+import { visitsPerDay, visitsToCsv } from "../utils/visitLog";
+
+/**
+ * Visit Timeline - a tiny bar chart of visits per day
+ *
+ * Props:
+ *   visits - array of timestamps from the visit log (oldest first)
+ */
+
+const CHART_DAYS = 14;
+const CHART_HEIGHT = 80; // px
+
+// Save text as a file: make a Blob, point a temporary link at it, click it
+function downloadCsv(visits) {
+  const blob = new Blob([visitsToCsv(visits)], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "visits.csv";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function VisitTimeline({ visits }) {
+  const days = visitsPerDay(visits, CHART_DAYS);
+  // The tallest bar fills the chart; at least 1 to avoid dividing by 0
+  const maxCount = Math.max(1, ...days.map((d) => d.count));
+
+  const first = visits[0];
+  const last = visits[visits.length - 1];
+
+  return (
+    <div style={{ marginTop: "10px" }}>
+      <p style={{ margin: "5px 0", fontSize: "14px" }}>
+        📅 First visit:{" "}
+        <strong>{first ? new Date(first).toLocaleString() : "-"}</strong>
+        <br />
+        🕒 Last visit:{" "}
+        <strong>{last ? new Date(last).toLocaleString() : "-"}</strong>
+      </p>
+
+      {/* One bar per day - height is proportional to the visit count */}
+      <div
+        role="img"
+        aria-label={`Visits per day, last ${CHART_DAYS} days: ${days
+          .map((d) => `${d.day}: ${d.count}`)
+          .join(", ")}`}
+        style={{
+          display: "flex",
+          alignItems: "flex-end",
+          gap: "4px",
+          height: `${CHART_HEIGHT}px`,
+          marginTop: "10px",
+          borderBottom: "1px solid #bdc3c7",
+        }}
+      >
+        {days.map((d) => (
+          <div
+            key={d.day}
+            title={`${d.date.toLocaleDateString()}: ${d.count} visit(s)`}
+            style={{
+              flex: 1,
+              height: `${(d.count / maxCount) * 100}%`,
+              minHeight: d.count > 0 ? "4px" : 0,
+              backgroundColor: "#1abc9c",
+              borderRadius: "3px 3px 0 0",
+            }}
+          />
+        ))}
+      </div>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          fontSize: "11px",
+          color: "#7f8c8d",
+        }}
+      >
+        <span>{days[0].date.toLocaleDateString()}</span>
+        <span>Today</span>
+      </div>
+
+      <button
+        onClick={() => downloadCsv(visits)}
+        disabled={visits.length === 0}
+        style={{
+          marginTop: "10px",
+          padding: "5px 12px",
+          borderRadius: "5px",
+          border: "1px solid #1abc9c",
+          backgroundColor: "white",
+          cursor: visits.length === 0 ? "default" : "pointer",
+        }}
+      >
+        ⬇️ Export visit log (CSV)
+      </button>
+    </div>
+  );
+}
+
+export default VisitTimeline;
@@ -1,66 +1,167 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useId } from "react";
+import { useDebouncedValue } from "../hooks/useDebounce";
+import { getItem, removeItem, setItem, subscribe } from "../utils/appStorage";
+import { apiFetch } from "../utils/mockApi";
 
 /**
  * EXAMPLE 5: Debounced Search
  *
  * What you'll learn:
- * - Debouncing user input
+ * - Debouncing user input (with a reusable useDebouncedValue hook)
  * - Using cleanup to cancel timers
- * - Optimizing API calls
- * - Real-world search implementation
+ * - Using cleanup to CANCEL REQUESTS with AbortController
+ * - Why out-of-order responses are a bug, and how cleanup prevents it
+ * - Optimizing API calls (minimum query length)
+ * - Real-world search implementation: recent searches and an
+ *   accessible combobox (↑ / ↓ to move, Enter to pick, Escape to close)
  */
 
+const DEBOUNCE_MS = 500;
+const MIN_QUERY_LENGTH = 2;
+const HISTORY_KEY = "searchHistory"; // saved with appStorage
+const MAX_HISTORY = 5;
+
+// The saved recent searches. The Storage Inspector lets you type any
+// JSON, so only a list of strings is trusted - anything else is "none"
+function readHistory() {
+  const history = getItem(HISTORY_KEY, []);
+  if (!Array.isArray(history)) return [];
+  return history.filter((term) => typeof term === "string");
+}
+
+// ↑ / ↓ through `count` options, wrapping around at both ends
+function moveIndex(index, step, count) {
+  if (index === -1) return step > 0 ? 0 : count - 1;
+  return (index + step + count) % count;
+}
+
 function DebounceSearchExample() {
   const [searchTerm, setSearchTerm] = useState("");
-  const [debouncedTerm, setDebouncedTerm] = useState("");
   const [results, setResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
   const [searchCount, setSearchCount] = useState(0);
+  const [cancelCount, setCancelCount] = useState(0);
+  const [history, setHistory] = useState(readHistory);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const listboxId = useId();
 
-  // Debounce the search term
-  useEffect(() => {
-    console.log("⌛ User is typing:", searchTerm);
-
-    // Wait 500ms after user stops typing
-    const timer = setTimeout(() => {
-      console.log("✅ 500ms passed, updating debounced term");
-      setDebouncedTerm(searchTerm);
-    }, 500);
-
-    // Cleanup: Cancel the timer if user types again
-    return () => {
-      console.log("🧹 Cleanup: User typed again, canceling previous timer");
-      clearTimeout(timer);
-    };
-  }, [searchTerm]); // Run when searchTerm changes
+  // Debounce the search term - the hook wraps the "setTimeout + cleanup"
+  // useEffect, so the timer logic lives in ONE place
+  const debouncedTerm = useDebouncedValue(searchTerm.trim(), DEBOUNCE_MS);
 
   // Perform search when debouncedTerm changes
   useEffect(() => {
-    if (debouncedTerm.trim() === "") {
+    if (debouncedTerm.length < MIN_QUERY_LENGTH) {
       setResults([]);
+      setError(null);
+      setIsSearching(false);
       return;
     }
 
     console.log("🔍 Performing search for:", debouncedTerm);
+    const controller = new AbortController();
+    let finished = false;
     setIsSearching(true);
+    setError(null);
     setSearchCount((prev) => prev + 1);
 
-    // Simulate API call
-    fetch(
-      `https://jsonplaceholder.typicode.com/users?name_like=${debouncedTerm}`
+    // API call - apiFetch() is fetch() with a switchable mock mode
+    apiFetch(
+      `https://jsonplaceholder.typicode.com/users?name_like=${encodeURIComponent(debouncedTerm)}`,
+      { signal: controller.signal }
     )
-      .then((response) => response.json())
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+        return response.json();
+      })
       .then((data) => {
+        // The answer came, but a newer search already took over
+        if (controller.signal.aborted) return;
         console.log("✅ Search results received:", data.length, "results");
         setResults(data);
-        setIsSearching(false);
       })
       .catch((error) => {
+        if (error.name === "AbortError") return; // we cancelled it
         console.error("❌ Search error:", error);
-        setIsSearching(false);
+        setResults([]);
+        setError(error.message);
+      })
+      .finally(() => {
+        finished = true;
+        if (!controller.signal.aborted) setIsSearching(false);
       });
+
+    // Cleanup: the user typed a NEW term before this answer arrived.
+    // Without this, a slow answer for "le" could land AFTER the answer
+    // for "lea" and overwrite the newer results!
+    return () => {
+      if (finished) return;
+      console.log("🚫 Cleanup: canceling the search for", debouncedTerm);
+      controller.abort();
+      setCancelCount((prev) => prev + 1);
+    };
   }, [debouncedTerm]); // Run when debouncedTerm changes
 
+  // The history can be cleared elsewhere (e.g. the Storage Inspector)
+  useEffect(() => subscribe(() => setHistory(readHistory())), []);
+
+  const rememberSearch = (term) => {
+    const newHistory = [
+      term,
+      ...history.filter((entry) => entry.toLowerCase() !== term.toLowerCase()),
+    ].slice(0, MAX_HISTORY);
+    setItem(HISTORY_KEY, newHistory); // notifies subscribe() above
+  };
+
+  // Too short to search → offer the recent searches instead
+  const showHistory = searchTerm.trim().length < MIN_QUERY_LENGTH;
+  const options = showHistory
+    ? history.map((term) => ({ type: "history", term }))
+    : results.map((user) => ({ type: "user", user }));
+  const isExpanded = isOpen && options.length > 0;
+  const active = isExpanded && activeIndex < options.length ? activeIndex : -1;
+  const optionId = (index) => `${listboxId}-option-${index}`;
+
+  const choose = (option) => {
+    setActiveIndex(-1);
+    if (option.type === "history") {
+      setSearchTerm(option.term);
+      return;
+    }
+    setSelectedUser(option.user);
+    rememberSearch(debouncedTerm);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault(); // don't move the text cursor
+      setIsOpen(true);
+      if (options.length === 0) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveIndex(moveIndex(active, step, options.length));
+    } else if (e.key === "Enter" && active !== -1) {
+      e.preventDefault();
+      choose(options[active]);
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  let status = "";
+  if (searchTerm.trim() && showHistory) {
+    status = `Type at least ${MIN_QUERY_LENGTH} characters to search`;
+  } else if (!isSearching && !error && debouncedTerm && !showHistory) {
+    status =
+      results.length === 0
+        ? `No results found for "${debouncedTerm}"`
+        : `Found ${results.length} result(s) - use ↑ / ↓ and Enter to pick one`;
+  }
+
   return (
     <div
       style={{
@@ -73,11 +174,31 @@ function DebounceSearchExample() {
       <h2>🔍 Debounced Search Example</h2>
 
       <div style={{ marginBottom: "20px" }}>
+        <label
+          htmlFor={`${listboxId}-input`}
+          style={{ display: "block", marginBottom: "5px", fontWeight: "bold" }}
+        >
+          Search users by name:
+        </label>
         <input
+          id={`${listboxId}-input`}
           type="text"
           value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
+          onChange={(e) => {
+            setSearchTerm(e.target.value);
+            setIsOpen(true);
+            setActiveIndex(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
           placeholder="Search users... (try typing quickly)"
+          role="combobox"
+          aria-expanded={isExpanded}
+          aria-controls={listboxId}
+          aria-autocomplete="list"
+          aria-activedescendant={active !== -1 ? optionId(active) : undefined}
+          autoComplete="off"
           style={{
             padding: "12px",
             fontSize: "16px",
@@ -87,6 +208,53 @@ function DebounceSearchExample() {
             maxWidth: "400px",
           }}
         />
+
+        {/* Always in the DOM, so aria-controls points somewhere */}
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label={showHistory ? "Recent searches" : "Users"}
+          hidden={!isExpanded}
+          style={{
+            listStyle: "none",
+            padding: "5px",
+            margin: "5px 0 0 0",
+            maxWidth: "400px",
+            border: "1px solid #2ecc71",
+            borderRadius: "5px",
+            backgroundColor: "white",
+          }}
+        >
+          {options.map((option, index) => (
+            <li
+              key={option.type === "user" ? option.user.id : option.term}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === active}
+              // preventDefault keeps the focus in the input (no blur)
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(option)}
+              onMouseEnter={() => setActiveIndex(index)}
+              style={{
+                padding: "10px",
+                borderRadius: "5px",
+                cursor: "pointer",
+                backgroundColor: index === active ? "#d5f4e6" : "white",
+              }}
+            >
+              {option.type === "history" ? (
+                <span style={{ color: "#7f8c8d" }}>🕘 {option.term}</span>
+              ) : (
+                <>
+                  <strong>{option.user.name}</strong>
+                  <div style={{ fontSize: "14px", color: "#7f8c8d" }}>
+                    📧 {option.user.email}
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
       </div>
 
       <div
@@ -107,8 +275,11 @@ function DebounceSearchExample() {
         <p>
           <strong>API Calls Made:</strong> {searchCount}
         </p>
+        <p>
+          <strong>Requests Cancelled:</strong> {cancelCount}
+        </p>
         <p style={{ color: "#7f8c8d", fontSize: "12px", marginTop: "10px" }}>
-          💡 Notice: API call happens 500ms after you stop typing!
+          💡 Notice: API call happens {DEBOUNCE_MS}ms after you stop typing!
         </p>
       </div>
 
@@ -127,66 +298,73 @@ function DebounceSearchExample() {
         </div>
       )}
 
-      {!isSearching && results.length > 0 && (
+      {error && (
         <div
+          role="alert"
           style={{
             padding: "15px",
-            backgroundColor: "#d5f4e6",
+            backgroundColor: "#ffe6e6",
             borderRadius: "5px",
             marginBottom: "20px",
+            color: "#e74c3c",
           }}
         >
-          <h3 style={{ color: "#2ecc71", marginTop: 0 }}>
-            Found {results.length} result(s)
-          </h3>
-          <ul style={{ listStyle: "none", padding: 0 }}>
-            {results.map((user) => (
-              <li
-                key={user.id}
-                style={{
-                  padding: "10px",
-                  backgroundColor: "white",
-                  marginBottom: "10px",
-                  borderRadius: "5px",
-                  border: "1px solid #2ecc71",
-                }}
-              >
-                <strong>{user.name}</strong>
-                <div style={{ fontSize: "14px", color: "#7f8c8d" }}>
-                  📧 {user.email}
-                </div>
-              </li>
-            ))}
-          </ul>
+          ❌ {error}
         </div>
       )}
 
-      {!isSearching && debouncedTerm && results.length === 0 && (
+      {/* Read out by screen readers whenever it changes */}
+      <p role="status" style={{ color: "#2ecc71", fontWeight: "bold" }}>
+        {status}
+      </p>
+
+      {selectedUser && (
         <div
           style={{
             padding: "15px",
-            backgroundColor: "#ffe6e6",
+            backgroundColor: "#d5f4e6",
             borderRadius: "5px",
             marginBottom: "20px",
-            color: "#e74c3c",
           }}
         >
-          No results found for "{debouncedTerm}"
+          ✅ <strong>Selected:</strong> {selectedUser.name} (
+          {selectedUser.email})
         </div>
       )}
 
+      {history.length > 0 && (
+        <button
+          onClick={() => removeItem(HISTORY_KEY)}
+          style={{
+            padding: "8px 14px",
+            backgroundColor: "#95a5a6",
+            color: "white",
+            border: "none",
+            borderRadius: "5px",
+            cursor: "pointer",
+          }}
+        >
+          🗑️ Clear recent searches ({history.length})
+        </button>
+      )}
+
       <div style={{ marginTop: "20px", fontSize: "14px", color: "#7f8c8d" }}>
         <p>
           💡 <strong>What's happening:</strong>
         </p>
         <ul style={{ textAlign: "left" }}>
-          <li>First useEffect sets a 500ms timer when you type</li>
+          <li>useDebouncedValue sets a {DEBOUNCE_MS}ms timer when you type</li>
           <li>If you type again, cleanup cancels the old timer</li>
-          <li>After 500ms of no typing, debouncedTerm updates</li>
-          <li>Second useEffect performs the search</li>
+          <li>After {DEBOUNCE_MS}ms of no typing, debouncedTerm updates</li>
+          <li>The search useEffect runs - only for 2+ characters</li>
+          <li>
+            If debouncedTerm changes while a request is still on its way,
+            cleanup aborts it - an old answer can never overwrite a new one
+          </li>
           <li>This prevents making an API call for every keystroke!</li>
           <li>
-            <strong>Try typing quickly and watch the API call count!</strong>
+            <strong>Try typing quickly and watch the API call count!</strong>{" "}
+            (Mock mode with a long latency shows the cancellations.)
           </li>
         </ul>
       </div>
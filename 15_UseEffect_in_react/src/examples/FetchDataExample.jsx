@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { apiFetch } from "../utils/mockApi";
 
 /**
  * EXAMPLE 2: Fetching Data from API
@@ -23,8 +24,8 @@ function FetchDataExample() {
     setLoading(true);
     setError(null);
 
-    // Fetch data
-    fetch(`https://jsonplaceholder.typicode.com/users/${userId}`)
+    // Fetch data - apiFetch() is fetch() with a switchable mock mode
+    apiFetch(`https://jsonplaceholder.typicode.com/users/${userId}`)
       .then((response) => {
         if (!response.ok) {
           throw new Error("Failed to fetch");
@@ -1,4 +1,21 @@
 import { useState, useEffect } from "react";
+import StorageInspector from "../components/StorageInspector";
+import VisitTimeline from "../components/VisitTimeline";
+import {
+  DAY,
+  HOUR,
+  MINUTE,
+  clearNamespace,
+  getItem,
+  migrateLegacyItem,
+  setItem,
+  subscribe,
+} from "../utils/appStorage";
+import {
+  getEarlierVisitCount,
+  getVisits,
+  recordVisit,
+} from "../utils/visitLog";
 
 /**
  * EXAMPLE 3: localStorage Synchronization
@@ -8,54 +25,97 @@ import { useState, useEffect } from "react";
  * - Persisting data across page refreshes
  * - Reading from localStorage on mount
  * - Writing to localStorage on state change
+ * - Letting saved data EXPIRE after a while (TTL = "time to live")
  */
 
+const DEFAULT_COLOR = "#3498db";
+
+// How long to remember the name. null = forever
+const TTL_OPTIONS = [
+  { label: "Forever", value: null },
+  { label: "1 minute", value: MINUTE },
+  { label: "1 hour", value: HOUR },
+  { label: "1 day", value: DAY },
+];
+
+// Older versions of this example saved plain strings under bare keys.
+// Move them into the namespace once, before anything reads them, so
+// nobody loses their name, color or visit count. (recordVisit() then
+// folds the old "visitCount" into the visit log's earlier visits.)
+migrateLegacyItem("userName");
+migrateLegacyItem("favoriteColor");
+migrateLegacyItem("visitCount", (raw) => {
+  const count = parseInt(raw, 10);
+  return count > 0 ? count : undefined;
+});
+
 function LocalStorageExample() {
-  // Initialize from localStorage or use default
-  const [name, setName] = useState(() => {
-    const saved = localStorage.getItem("userName");
-    return saved || "";
-  });
-
-  const [favoriteColor, setFavoriteColor] = useState(() => {
-    const saved = localStorage.getItem("favoriteColor");
-    return saved || "#3498db";
-  });
-
-  const [visitCount, setVisitCount] = useState(() => {
-    const saved = localStorage.getItem("visitCount");
-    return saved ? parseInt(saved) : 0;
-  });
-
-  // Save name to localStorage whenever it changes
+  // Initialize from storage or use default
+  // (getItem returns the default if the value is missing OR expired)
+  const [name, setName] = useState(() => getItem("userName", ""));
+
+  const [nameTtl, setNameTtl] = useState(() => getItem("nameTtl", null));
+
+  const [favoriteColor, setFavoriteColor] = useState(() =>
+    getItem("favoriteColor", DEFAULT_COLOR)
+  );
+
+  // One timestamp per session - see utils/visitLog.js
+  const [visits, setVisits] = useState(getVisits);
+  // Counted before the log existed (no timestamps, so not in the chart)
+  const [earlierVisits, setEarlierVisits] = useState(getEarlierVisitCount);
+
+  // Save name to storage whenever it changes
   useEffect(() => {
+    // Skip if storage already has this value - re-saving on every mount
+    // would restart the expiry clock, and the name would never expire
+    if (getItem("userName", "") === name) return;
     console.log("💾 Saving name to localStorage:", name);
-    localStorage.setItem("userName", name);
-  }, [name]);
+    setItem("userName", name, { ttl: nameTtl });
+  }, [name, nameTtl]);
 
-  // Save color to localStorage whenever it changes
+  // Save color to storage whenever it changes
   useEffect(() => {
-    console.log("💾 Saving color to localStorage:", favoriteColor);
-    localStorage.setItem("favoriteColor", favoriteColor);
+    if (getItem("favoriteColor", DEFAULT_COLOR) !== favoriteColor) {
+      console.log("💾 Saving color to localStorage:", favoriteColor);
+      setItem("favoriteColor", favoriteColor);
+    }
     document.body.style.backgroundColor = favoriteColor + "20"; // Add transparency
   }, [favoriteColor]);
 
-  // Increment visit count on mount
+  // Log this visit on mount
+  // Safe to run twice (StrictMode does that in development):
+  // recordVisit() only logs once per browser session
   useEffect(() => {
-    const currentCount = parseInt(localStorage.getItem("visitCount") || "0");
-    const newCount = currentCount + 1;
-    setVisitCount(newCount);
-    localStorage.setItem("visitCount", newCount.toString());
-    console.log("👋 Visit count:", newCount);
+    const log = recordVisit();
+    setVisits(log);
+    setEarlierVisits(getEarlierVisitCount());
+    console.log("👋 Visits so far:", getEarlierVisitCount() + log.length);
   }, []); // Empty array = run once on mount
 
+  // Re-read when the Storage Inspector edits or deletes one of our keys
+  useEffect(() => {
+    return subscribe(() => {
+      setName(getItem("userName", ""));
+      setNameTtl(getItem("nameTtl", null));
+      setFavoriteColor(getItem("favoriteColor", DEFAULT_COLOR));
+      setVisits(getVisits());
+      setEarlierVisits(getEarlierVisitCount());
+    });
+  }, []);
+
+  // A new TTL applies right away: save the name again with the new expiry
+  const changeNameTtl = (ttl) => {
+    setNameTtl(ttl);
+    setItem("nameTtl", ttl);
+    if (name) setItem("userName", name, { ttl });
+  };
+
   const clearData = () => {
-    localStorage.clear();
-    setName("");
-    setFavoriteColor("#3498db");
-    setVisitCount(0);
-    document.body.style.backgroundColor = "";
-    console.log("🗑️ localStorage cleared!");
+    // Only OUR keys - localStorage.clear() would wipe other apps' data too.
+    // The subscription above resets the state to the defaults
+    clearNamespace();
+    console.log("🗑️ App data cleared!");
   };
 
   return (
@@ -80,8 +140,18 @@ function LocalStorageExample() {
       >
         <p style={{ fontSize: "18px", fontWeight: "bold" }}>
           👋 Welcome back! You've visited this page{" "}
-          <span style={{ color: "#1abc9c" }}>{visitCount}</span> time(s)
+          <span style={{ color: "#1abc9c" }}>
+            {earlierVisits + visits.length}
+          </span>{" "}
+          time(s)
         </p>
+        {earlierVisits > 0 && (
+          <p style={{ fontSize: "12px", color: "#7f8c8d" }}>
+            Including {earlierVisits} visit(s) from before the visit log - they
+            have no dates, so they're not in the chart.
+          </p>
+        )}
+        <VisitTimeline visits={visits} />
       </div>
 
       <div style={{ marginBottom: "20px" }}>
@@ -104,6 +174,22 @@ function LocalStorageExample() {
             maxWidth: "300px",
           }}
         />
+        <label style={{ display: "block", marginTop: "10px" }}>
+          Remember my name for:{" "}
+          <select
+            value={nameTtl ?? ""}
+            onChange={(e) =>
+              changeNameTtl(e.target.value ? Number(e.target.value) : null)
+            }
+            style={{ padding: "5px", borderRadius: "5px" }}
+          >
+            {TTL_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value ?? ""}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
         {name && (
           <p
             style={{ color: "#1abc9c", fontWeight: "bold", marginTop: "10px" }}
@@ -151,9 +237,11 @@ function LocalStorageExample() {
           cursor: "pointer",
         }}
       >
-        🗑️ Clear All Data
+        🗑️ Clear App Data
       </button>
 
+      <StorageInspector />
+
       <div style={{ marginTop: "20px", fontSize: "14px", color: "#7f8c8d" }}>
         <p>
           💡 <strong>What's happening:</strong>
@@ -162,7 +250,18 @@ function LocalStorageExample() {
           <li>Data is loaded from localStorage on mount</li>
           <li>Each state change is automatically saved to localStorage</li>
           <li>Try refreshing the page - your data persists!</li>
-          <li>Visit count increases each time component mounts</li>
+          <li>
+            Pick "1 minute" and wait - the name expires and is removed the next
+            time it's read
+          </li>
+          <li>
+            Clearing only removes keys starting with "useeffect-demo:" - other
+            apps on this site keep their data
+          </li>
+          <li>
+            Each browser session is logged once - refreshing the same tab
+            doesn't count as a new visit
+          </li>
           <li>Background color changes with your selection</li>
         </ul>
       </div>
@@ -0,0 +1,60 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+
+/**
+ * Debounce hooks - wait until the user STOPS doing something
+ *
+ * What you'll learn:
+ * - Moving a "timer + cleanup" useEffect into a reusable custom hook
+ * - Debouncing a VALUE vs debouncing a FUNCTION
+ * - Keeping the latest callback in a ref so the timer never calls an old one
+ *
+ *   l → le → lea → lean ...(500ms of quiet)... → search "lean"
+ *
+ * useDebouncedValue(value, delay) - a copy of `value` that only changes
+ * once `value` has stayed the same for `delay` ms:
+ *
+ *   const debouncedTerm = useDebouncedValue(searchTerm, 500);
+ *
+ * useDebouncedCallback(fn, delay) - a function that runs `fn` only after
+ * it hasn't been called for `delay` ms, with the LAST arguments:
+ *
+ *   const save = useDebouncedCallback((text) => saveDraft(text), 1000);
+ *   save("Hello");  // runs in 1s, unless save() is called again
+ *   save.cancel();  // forget the call that's waiting
+ */
+
+export function useDebouncedValue(value, delay) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+
+    // Cleanup: `value` changed before the timer fired → start over
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
+
+export function useDebouncedCallback(callback, delay) {
+  // Always call the LATEST callback, without re-creating the timer logic
+  const callbackRef = useRef(callback);
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  const debounced = useMemo(() => {
+    let timer;
+    const run = (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => callbackRef.current(...args), delay);
+    };
+    run.cancel = () => clearTimeout(timer);
+    return run;
+  }, [delay]);
+
+  // Cleanup: a call still waiting when the component unmounts is dropped
+  useEffect(() => debounced.cancel, [debounced]);
+
+  return debounced;
+}
@@ -0,0 +1,171 @@
+/**
+ * App Storage - localStorage with a namespace and expiring entries
+ *
+ * What you'll learn:
+ * - Prefixing keys so the app only ever touches its OWN data
+ * - Saving a value together with "when" information (savedAt, expiresAt)
+ * - Lazy expiry: an old entry is deleted the moment someone reads it
+ *
+ * Every entry is saved as JSON like this:
+ *   "useeffect-demo:userName" → {"value":"Ada","savedAt":1700000000000,"expiresAt":1700003600000}
+ * expiresAt is null for entries that never expire.
+ */
+
+export const NAMESPACE = "useeffect-demo:";
+
+// Handy TTL values (in milliseconds)
+export const MINUTE = 60 * 1000;
+export const HOUR = 60 * MINUTE;
+export const DAY = 24 * HOUR;
+
+// ---------- change notifications ----------
+// The inspector panel and the examples show the same data.
+// When one of them writes, the others re-read.
+const listeners = new Set();
+
+export function subscribe(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+function notify() {
+  listeners.forEach((callback) => callback());
+}
+
+// ---------- reading & writing ----------
+
+// Read and parse the stored entry, or null if it's missing or corrupted
+function readEntry(key) {
+  try {
+    const raw = localStorage.getItem(NAMESPACE + key);
+    if (raw === null) return null;
+    const entry = JSON.parse(raw);
+    return entry && typeof entry === "object" && "value" in entry
+      ? { ...entry, raw }
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+const isExpired = (entry, now) =>
+  entry.expiresAt !== null && entry.expiresAt <= now;
+
+/**
+ * Save a value.
+ * options.ttl       - expire this many ms from now
+ * options.expiresAt - OR expire at this exact time (e.g. to keep an old expiry)
+ * Neither → the entry never expires.
+ */
+export function setItem(key, value, { ttl, expiresAt = null } = {}) {
+  const now = Date.now();
+  const entry = {
+    value,
+    savedAt: now,
+    expiresAt: ttl ? now + ttl : expiresAt,
+  };
+  try {
+    localStorage.setItem(NAMESPACE + key, JSON.stringify(entry));
+  } catch (error) {
+    console.error(`❌ Could not save "${key}":`, error);
+  }
+  notify();
+}
+
+/**
+ * Read a value. Expired entries are removed right here ("lazy expiry")
+ * and the fallback is returned instead.
+ */
+export function getItem(key, fallback = null) {
+  const entry = readEntry(key);
+  if (entry === null) return fallback;
+  if (isExpired(entry, Date.now())) {
+    console.log(`⌛ "${key}" expired - removing it`);
+    // No notify() here: getItem is often called while React is rendering
+    // (e.g. in a useState initializer), and listeners set state
+    localStorage.removeItem(NAMESPACE + key);
+    return fallback;
+  }
+  return entry.value;
+}
+
+/**
+ * Move a value saved before the namespace existed - a plain string under
+ * a bare key like "userName" - into our namespace, and delete the old key.
+ * After the first run there's no old key left, so later calls do nothing.
+ * parse(raw) turns the old string into the value to save (undefined = drop
+ * it). A value already saved under the new key wins over the old one.
+ */
+export function migrateLegacyItem(key, parse = (raw) => raw) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return;
+    if (readEntry(key) === null) {
+      const value = parse(raw);
+      if (value !== undefined) setItem(key, value);
+    }
+    localStorage.removeItem(key);
+  } catch (error) {
+    // Storage blocked (privacy mode, sandboxed iframe) - nothing to migrate
+    console.error(`❌ Could not migrate "${key}":`, error);
+  }
+}
+
+export function removeItem(key) {
+  localStorage.removeItem(NAMESPACE + key);
+  notify();
+}
+
+/**
+ * Every entry in our namespace - for the inspector panel.
+ * Expired entries are removed on the way (reading them expires them).
+ * Like getItem, this doesn't notify(), so it's safe to call while rendering.
+ * Returns [{ key, value, savedAt, expiresAt, corrupted, size }]
+ */
+export function listEntries() {
+  const now = Date.now();
+  const entries = [];
+  const expired = [];
+
+  for (let i = 0; i < localStorage.length; i++) {
+    const fullKey = localStorage.key(i);
+    if (!fullKey.startsWith(NAMESPACE)) continue;
+
+    const key = fullKey.slice(NAMESPACE.length);
+    const entry = readEntry(key);
+    if (entry && isExpired(entry, now)) {
+      expired.push(key);
+      continue;
+    }
+
+    const raw = entry ? entry.raw : localStorage.getItem(fullKey);
+    entries.push({
+      key,
+      value: entry ? entry.value : raw,
+      savedAt: entry ? entry.savedAt : null,
+      expiresAt: entry ? entry.expiresAt : null,
+      corrupted: entry === null,
+      // localStorage stores text as UTF-16: 2 bytes per character
+      size: (fullKey.length + raw.length) * 2,
+    });
+  }
+
+  // Remove AFTER the loop - removing inside it would shift the indexes
+  expired.forEach((key) => localStorage.removeItem(NAMESPACE + key));
+
+  return entries.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Remove ONLY our own keys. localStorage.clear() would also wipe every
+ * other app running on this origin (e.g. other demos on localhost:5173)
+ */
+export function clearNamespace() {
+  const ours = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const fullKey = localStorage.key(i);
+    if (fullKey.startsWith(NAMESPACE)) ours.push(fullKey);
+  }
+  ours.forEach((fullKey) => localStorage.removeItem(fullKey));
+  notify();
+}
@@ -0,0 +1,155 @@
+import { posts, users } from "./mockData";
+
+/**
+ * Mock API - the fetch examples keep working without internet
+ *
+ * What you'll learn:
+ * - Wrapping fetch() so the rest of the code doesn't change
+ * - Answering requests with a real Response object built from local data
+ * - Faking latency and errors to see loading and error states on purpose
+ *
+ * Use apiFetch() exactly like fetch(). In live mode it IS fetch(); in
+ * mock mode requests to jsonplaceholder.typicode.com are answered from
+ * mockData.js:
+ *
+ *   apiFetch("https://jsonplaceholder.typicode.com/users/1")
+ *     .then((response) => response.json())
+ *
+ * Served: /users, /users/:id, /posts, /posts/:id
+ * Query:  ?userId=1 (exact), ?name_like=lean (contains), ?_page=2&_limit=10
+ */
+
+const MOCK_HOST = "jsonplaceholder.typicode.com";
+
+// ---------- settings (live / mock, latency, errors) ----------
+// Saved outside the "useeffect-demo:" namespace, so the Storage
+// Inspector and "clear" in the localStorage example leave it alone.
+
+const SETTINGS_KEY = "useeffect-demo-mock-settings";
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  latency: 400, // ms
+  errorRate: 0, // 0..1 - chance that a request fails on purpose
+  errorKind: "server", // "server" (500), "not-found" (404) or "network"
+};
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_SETTINGS, ...saved };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+let settings = loadSettings();
+const listeners = new Set();
+
+export function getMockSettings() {
+  return settings;
+}
+
+export function updateMockSettings(changes) {
+  settings = { ...settings, ...changes };
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage blocked - the setting still works until a refresh
+  }
+  listeners.forEach((callback) => callback());
+}
+
+export function subscribeMockSettings(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+// ---------- the fake server ----------
+
+function applyQuery(items, query) {
+  let result = items;
+  query.forEach((value, key) => {
+    if (key.startsWith("_")) return;
+    if (key.endsWith("_like")) {
+      const field = key.slice(0, -"_like".length);
+      result = result.filter((item) =>
+        String(item[field]).toLowerCase().includes(value.toLowerCase())
+      );
+    } else {
+      result = result.filter((item) => String(item[key]) === value);
+    }
+  });
+
+  const limit = Number(query.get("_limit")) || result.length;
+  const page = Number(query.get("_page")) || 1;
+  return result.slice((page - 1) * limit, page * limit);
+}
+
+// "/users/3" → { status: 200, data: {...user 3} }
+function route(pathname, query) {
+  const [, resource, id] = pathname.split("/");
+  const items = { users, posts }[resource];
+  if (!items) return { status: 404, data: {} };
+  if (id === undefined || id === "") {
+    return { status: 200, data: applyQuery(items, query) };
+  }
+  const item = items.find((entry) => String(entry.id) === id);
+  return item ? { status: 200, data: item } : { status: 404, data: {} };
+}
+
+// Wait like a slow network would - but stop as soon as the request
+// is aborted, just like the real fetch()
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    let timer;
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+    };
+    if (signal?.aborted) return abort();
+    timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+async function mockFetch(url, options = {}) {
+  const { latency, errorRate, errorKind } = settings;
+  await wait(latency, options.signal);
+
+  let result;
+  if (Math.random() < errorRate) {
+    // fetch() only rejects when there is NO answer at all
+    if (errorKind === "network") throw new TypeError("Failed to fetch");
+    result =
+      errorKind === "not-found"
+        ? { status: 404, data: {} }
+        : { status: 500, data: { error: "Injected server error" } };
+  } else {
+    result = route(url.pathname, url.searchParams);
+  }
+
+  console.log(`🧪 Mock ${result.status}: ${url.pathname}${url.search}`);
+  return new Response(JSON.stringify(result.data), {
+    status: result.status,
+    headers: { "Content-Type": "application/json", "X-Mock": "true" },
+  });
+}
+
+/**
+ * Same signature as fetch(url, options).
+ * Only GET requests to JSONPlaceholder are mocked - anything else goes
+ * to the network as usual.
+ */
+export function apiFetch(input, options = {}) {
+  const url = new URL(String(input), window.location.href);
+  const method = (options.method || "GET").toUpperCase();
+
+  if (settings.enabled && url.host === MOCK_HOST && method === "GET") {
+    return mockFetch(url, options);
+  }
+  return fetch(input, options);
+}
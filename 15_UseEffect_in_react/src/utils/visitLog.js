@@ -0,0 +1,119 @@
+import { NAMESPACE, getItem, removeItem, setItem } from "./appStorage";
+
+/**
+ * Visit Log - one timestamp per browser session
+ *
+ * What you'll learn:
+ * - Making a "run once" side effect safe to run TWICE
+ * - sessionStorage: like localStorage, but forgotten when the tab closes
+ * - Grouping timestamps by day, and exporting them as CSV
+ *
+ * Why not just count on mount? In development, StrictMode mounts every
+ * component twice, so a plain "count + 1" effect counts every visit twice.
+ * Instead we leave a marker in sessionStorage: the second run sees it and
+ * does nothing. A refresh in the same tab is still the same session.
+ */
+
+const VISITS_KEY = "visits";
+// Visits counted by the old single counter, before the log existed
+const EARLIER_VISITS_KEY = "earlierVisits";
+const SESSION_MARKER = NAMESPACE + "visit-logged";
+
+// Keep the log from growing forever
+const MAX_VISITS = 1000;
+
+/**
+ * The log, oldest first. Anything can end up in storage (the Storage
+ * Inspector lets you type any JSON), so only a list of real timestamps
+ * is trusted - everything else counts as "no visits yet".
+ */
+export function getVisits() {
+  const visits = getItem(VISITS_KEY, []);
+  if (!Array.isArray(visits)) return [];
+  return visits.filter(
+    (timestamp) => typeof timestamp === "number" && Number.isFinite(timestamp)
+  );
+}
+
+/**
+ * How many visits the old counter had seen. They have no timestamps, so
+ * they're not in the log - but they still count.
+ */
+export function getEarlierVisitCount() {
+  const count = getItem(EARLIER_VISITS_KEY, 0);
+  return Number.isInteger(count) && count > 0 ? count : 0;
+}
+
+/**
+ * Log this session's visit - at most once per session.
+ * Returns the whole log (newest last).
+ */
+export function recordVisit(now = Date.now()) {
+  try {
+    if (sessionStorage.getItem(SESSION_MARKER)) return getVisits();
+    sessionStorage.setItem(SESSION_MARKER, String(now));
+  } catch {
+    // No sessionStorage - log the visit anyway
+  }
+
+  // The old single counter is replaced by this log - keep its count
+  const oldCount = getItem("visitCount");
+  if (oldCount !== null) {
+    if (Number.isInteger(oldCount) && oldCount > 0) {
+      setItem(EARLIER_VISITS_KEY, getEarlierVisitCount() + oldCount);
+    }
+    removeItem("visitCount");
+  }
+
+  const visits = [...getVisits(), now].slice(-MAX_VISITS);
+  setItem(VISITS_KEY, visits);
+  return visits;
+}
+
+// "2024-03-09" in the user's LOCAL time zone (toISOString would use UTC)
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Visits per day for the last `days` days, oldest first - days without
+ * visits are included with count 0, so the chart has no gaps.
+ * Returns [{ day: "2024-03-09", date: Date, count: 2 }, ...]
+ */
+export function visitsPerDay(visits, days = 14, now = Date.now()) {
+  const counts = new Map();
+  visits.forEach((timestamp) => {
+    const key = dayKey(timestamp);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const result = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date(now);
+    date.setDate(date.getDate() - i); // handles month ends for us
+    const key = dayKey(date);
+    result.push({ day: key, date, count: counts.get(key) || 0 });
+  }
+  return result;
+}
+
+/**
+ * The log as CSV text - opens in Excel, Numbers, Google Sheets...
+ * visit,timestamp,date,time
+ * 1,2024-03-09T08:15:00.000Z,2024-03-09,09:15:00
+ */
+export function visitsToCsv(visits) {
+  const rows = visits.map((timestamp, i) => {
+    const date = new Date(timestamp);
+    return [
+      i + 1,
+      date.toISOString(),
+      dayKey(timestamp),
+      date.toTimeString().slice(0, 8),
+    ].join(",");
+  });
+  return ["visit,timestamp,date,time", ...rows].join("\n") + "\n";
+}